@@ -0,0 +1,26 @@
+// Drop-in loader for the status widget. Put this where the widget should go:
+//
+//   <script src="https://is-csct.online/embed.js" data-theme="dark" async></script>
+//
+// It replaces itself with an iframe of widget.html from the same site.
+// Optional attributes: data-theme (light|dark, default follows the system),
+// data-width and data-height in pixels.
+
+(function () {
+  const script = document.currentScript;
+  if (!script) return;
+
+  const url = new URL('widget.html', script.src);
+  if (script.dataset.theme) {
+    url.searchParams.set('theme', script.dataset.theme);
+  }
+
+  const frame = document.createElement('iframe');
+  frame.src = url.href;
+  frame.title = 'CSCT Cloud status';
+  frame.width = script.dataset.width || '320';
+  frame.height = script.dataset.height || '84';
+  frame.loading = 'lazy';
+  frame.style.border = '0';
+  script.replaceWith(frame);
+}());
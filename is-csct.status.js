@@ -1,6 +1,51 @@
 // Frontend JavaScript to display CSCT Cloud status
 // Pure client-side implementation for static hosting with theme support
 
+// Base URL of the status API (monitor/server.js), from <meta name="csct-api">.
+// Empty means the page and the API share an origin.
+function getApiBase() {
+  const meta = document.querySelector('meta[name="csct-api"]');
+  return meta ? meta.content.trim().replace(/\/$/, '') : '';
+}
+
+// For text from the data files (incidents.json, targets, history), which
+// maintainers type freely
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// VAPID public key (base64url) -> the bytes pushManager.subscribe() wants
+function urlBase64ToUint8Array(base64url) {
+  const base64 = (base64url + '='.repeat((4 - base64url.length % 4) % 4))
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// Live stream reconnect backoff: doubles from 1s up to 5 minutes
+const STREAM_RETRY_MIN_MS = 1000;
+const STREAM_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Crowd reports are re-read this often while the API is up
+const REPORTS_POLL_MS = 2 * 60 * 1000;
+
+// Short form of each failure kind from monitor/diagnostics.js for the
+// per-target rows; the full explanation is in diagnosis.summary
+const DIAGNOSIS_LABELS = {
+  dns: 'DNS lookup failed',
+  refused: 'connection refused',
+  timeout: 'timed out',
+  reset: 'connection reset',
+  unreachable: 'network unreachable',
+  tls: 'TLS error',
+  http: 'server error',
+  protocol: 'unexpected response'
+};
+
 class ThemeManager {
   constructor() {
     this.storageKey = 'csct-theme-preference';
@@ -88,84 +133,412 @@ class CSCTStatus {
     this.statusTextMain = document.getElementById('status-text-main');
     this.statusDetail = document.getElementById('status-detail');
     this.statusMeta = document.getElementById('status-meta');
+    this.targetsList = document.getElementById('targets-list');
     this.uptimeSummary = document.getElementById('uptime-summary');
     this.downtimeCount = document.getElementById('downtime-count');
     this.downtimeSection = document.getElementById('downtime-incidents');
     this.incidentsList = document.getElementById('incidents-list');
     this.deadlineTimer = document.getElementById('deadline-timer');
+    this.deadlineInfo = document.getElementById('deadline-info');
+    this.deadlineList = document.getElementById('deadline-list');
+    this.refreshBtn = document.getElementById('refresh-btn');
+    this.incidentBanner = document.getElementById('incident-banner');
+    this.maintenanceBanner = document.getElementById('maintenance-banner');
+    this.cachedNotice = document.getElementById('cached-notice');
+    this.pushBtn = document.getElementById('push-btn');
+    this.reportsIndicator = document.getElementById('reports-indicator');
+    this.reportBtn = document.getElementById('report-btn');
+    this.reportForm = document.getElementById('report-form');
+    this.reportCategory = document.getElementById('report-category');
     
     // Store status data in localStorage for persistence
     this.storageKey = 'csct-status-data';
-    
-    // Deadline: December 6, 2025 at 2pm UK time (UTC)
-    this.deadlineDate = new Date('2025-12-06T14:00:00Z');
+
+    this.apiBase = getApiBase();
+    this.apiAvailable = false;
+
+    // Server-Sent Events stream from the API (see connectStream)
+    this.eventSource = null;
+    this.streamLive = false;
+    this.streamRetryMs = STREAM_RETRY_MIN_MS;
+    this.streamRetryTimer = null;
+    this.changedTargets = new Set();
+
+    // Maintainer incidents from incidents.json, planned windows from
+    // maintenance.json, and the status they're shown against
+    this.incidents = [];
+    this.maintenanceWindows = [];
+    this.currentStatus = null;
+
+    // "Is it down for you?" reports from /api/reports (see
+    // StatusEngine.summarizeReports); null without the API
+    this.reportSummary = null;
+
+    // Module deadlines from deadlines.json, soonest first (see
+    // StatusEngine.resolveDeadlines)
+    this.deadlines = [];
     
     this.init();
   }
 
   init() {
-    // Load initial status from localStorage
-    this.loadStoredStatus();
+    this.registerServiceWorker();
+
+    // Load initial status (stored copy first, then the API), then switch
+    // to live updates if the API is there
+    this.loadStoredStatus().then(() => {
+      this.connectStream();
+      this.setupPush();
+    });
+
+    // Back online: don't wait for the next poll
+    window.addEventListener('online', () => this.checkServerStatus());
     
-    // Poll server connectivity every 15 minutes (900000ms) - only once
-    setInterval(() => this.checkServerStatus(), 900000);
+    // Poll every 15 minutes (900000ms) as the fallback while the live
+    // stream is down, and retry the stream if the API has come back
+    setInterval(async () => {
+      if (this.streamLive) return;
+      await this.checkServerStatus();
+      if (!this.eventSource && !this.streamRetryTimer) {
+        this.connectStream();
+      }
+    }, 900000);
     
+    // Keep "Last check" and the streak ticking between status updates
+    setInterval(() => this.updateTimeDisplay(), 30000);
+
     // Update deadline timer every second
-    this.updateDeadlineTimer();
+    this.loadDeadlines();
     setInterval(() => this.updateDeadlineTimer(), 1000);
-    
-    // Also do initial check immediately on page load
-    this.checkServerStatus();
+
+    if (this.refreshBtn) {
+      this.refreshBtn.addEventListener('click', () => this.handleRefresh());
+    }
+    if (this.pushBtn) {
+      this.pushBtn.addEventListener('click', () => this.handlePushToggle());
+    }
+    this.setupReports();
+  }
+
+  // sw.js caches the page and the data files for when the network is flaky
+  // (see the top of sw.js). It gets the API base so pushes can read from it.
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    const url = `sw.js${this.apiBase ? `?api=${encodeURIComponent(this.apiBase)}` : ''}`;
+    navigator.serviceWorker.register(url).catch((err) => {
+      console.warn('Service worker registration failed:', err && err.message);
+    });
   }
 
   async loadStoredStatus() {
-    // Try to load authoritative status from the repo's status.json first
+    // Show the copy from the last visit straight away while we fetch
+    if (localStorage.getItem(this.storageKey)) {
+      this.updateUI(this.getStoredStatus());
+    }
+
+    await this.checkServerStatus();
+  }
+
+  // Prefer the live API; the static status.json (written by cron runs of
+  // ping_csct.js) is only used when the API can't be reached
+  async fetchStatus() {
+    try {
+      const resp = await fetch(`${this.apiBase}/api/status`, { cache: 'no-store' });
+      if (resp.ok) {
+        const status = this.parseStatus(await resp.json(), '/api/status');
+        if (status) {
+          this.setApiAvailable(true);
+          return status;
+        }
+      } else {
+        console.warn('Status API returned', resp.status);
+      }
+    } catch (err) {
+      console.warn('Status API unreachable:', err && err.message);
+    }
+
+    this.setApiAvailable(false);
+
     try {
       const resp = await fetch('status.json', { cache: 'no-store' });
       if (resp.ok) {
-        const status = await resp.json();
-        // Save into localStorage so UI and future loads use this copy
-        this.saveStatus(status);
-        this.updateUI(status);
-        return;
+        // Set by sw.js when the network failed and it answered from its cache
+        this.servedFromCache = Boolean(resp.headers.get('X-CSCT-Cached-At'));
+        return this.parseStatus(await resp.json(), 'status.json');
       }
       console.warn('Failed to fetch status.json, status:', resp.status);
     } catch (err) {
       console.warn('Could not load status.json:', err && err.message);
     }
+    return null;
+  }
+
+  setApiAvailable(available) {
+    this.apiAvailable = available;
+    // Checks can only be triggered through the API
+    if (this.refreshBtn) {
+      this.refreshBtn.hidden = !available;
+    }
+    // and reports only sent and counted there
+    if (this.reportBtn) {
+      this.reportBtn.hidden = !available;
+    }
+    if (!available && this.reportForm) {
+      this.reportForm.hidden = true;
+    }
+  }
+
+  // Labels a status that didn't come fresh from the network; null hides it
+  showCachedNotice(status) {
+    if (!this.cachedNotice) return;
+
+    this.cachedNotice.hidden = !status;
+    if (!status) return;
+
+    this.cachedNotice.textContent = status.lastChecked ?
+      `You appear to be offline. Showing the status cached as of ${this.formatDateTime(new Date(status.lastChecked))} ` +
+        `(${this.formatRelativeTime(new Date(status.lastChecked))}); it may be out of date.` :
+      'You appear to be offline and there is no cached status yet.';
+  }
+
+  // Offer push notifications when the API has a webpush notifier set up
+  async setupPush() {
+    if (!this.pushBtn || !this.apiAvailable ||
+        !('serviceWorker' in navigator) || !('PushManager' in window)) {
+      return;
+    }
+
+    try {
+      const resp = await fetch(`${this.apiBase}/api/push/key`, { cache: 'no-store' });
+      if (!resp.ok) return; // not configured on this server
+      this.pushKey = (await resp.json()).publicKey;
+
+      const registration = await navigator.serviceWorker.ready;
+      const subscription = await registration.pushManager.getSubscription();
+      this.setPushButton(Boolean(subscription));
+      this.pushBtn.hidden = false;
+    } catch (err) {
+      console.warn('Push notifications unavailable:', err && err.message);
+    }
+  }
+
+  setPushButton(subscribed) {
+    this.pushBtn.textContent = subscribed ? 'Stop notifications' : 'Notify me';
+  }
+
+  async handlePushToggle() {
+    this.pushBtn.disabled = true;
+
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      const existing = await registration.pushManager.getSubscription();
+
+      if (existing) {
+        await this.postSubscription('unsubscribe', { endpoint: existing.endpoint });
+        await existing.unsubscribe();
+        this.setPushButton(false);
+        return;
+      }
+
+      if (await Notification.requestPermission() !== 'granted') {
+        throw new Error('Notifications are blocked for this site in your browser settings');
+      }
+      const subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(this.pushKey)
+      });
+      try {
+        await this.postSubscription('subscribe', subscription.toJSON());
+      } catch (err) {
+        // Don't leave the browser subscribed to something the server forgot
+        await subscription.unsubscribe();
+        throw err;
+      }
+      this.setPushButton(true);
+    } catch (error) {
+      console.error('Changing notifications failed:', error);
+      this.statusDetail.textContent = error.message;
+    } finally {
+      this.pushBtn.disabled = false;
+    }
+  }
+
+  async postSubscription(action, body) {
+    const resp = await fetch(`${this.apiBase}/api/push/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (resp.status === 429) {
+      throw new Error('Too many notification changes, try again later');
+    }
+    if (!resp.ok) {
+      throw new Error(`Could not ${action} (HTTP ${resp.status})`);
+    }
+  }
+
+  // Subscribe to /api/events so the page changes as soon as a check lands
+  connectStream() {
+    if (!this.apiAvailable || typeof EventSource === 'undefined') return;
+
+    const source = new EventSource(`${this.apiBase}/api/events`);
+    this.eventSource = source;
+
+    source.addEventListener('open', () => {
+      this.streamLive = true;
+      this.streamRetryMs = STREAM_RETRY_MIN_MS;
+    });
+
+    // Sent just before the status that contains it
+    source.addEventListener('transition', (event) => {
+      const transition = JSON.parse(event.data);
+      this.changedTargets.add(transition.targetId);
+    });
+
+    source.addEventListener('status', (event) => {
+      const status = this.parseStatus(JSON.parse(event.data), 'live update');
+      if (!status) return;
+      this.saveStatus(status);
+      this.updateUI(status);
+      this.showCachedNotice(null);
+      this.highlightChangedTargets();
+      this.loadIncidents();
+      this.loadMaintenance();
+      this.loadReports();
+      document.dispatchEvent(new CustomEvent('csct-status-update', { detail: status }));
+    });
+
+    // EventSource retries on its own at a fixed rate; back off instead so
+    // a down API isn't hammered by every open tab
+    source.addEventListener('error', () => {
+      source.close();
+      this.eventSource = null;
+      this.streamLive = false;
+
+      const delay = this.streamRetryMs * (0.5 + Math.random() / 2);
+      this.streamRetryMs = Math.min(this.streamRetryMs * 2, STREAM_RETRY_MAX_MS);
+      this.streamRetryTimer = setTimeout(async () => {
+        this.streamRetryTimer = null;
+        // Catch up on anything missed; this also rechecks the API is up
+        await this.checkServerStatus();
+        this.connectStream();
+      }, delay);
+    });
+  }
+
+  highlightChangedTargets() {
+    if (!this.targetsList) return;
+
+    this.changedTargets.forEach((id) => {
+      const row = this.targetsList.querySelector(`[data-target="${id}"]`);
+      if (row) {
+        row.classList.add('just-changed');
+      }
+    });
+    this.changedTargets.clear();
+  }
 
-    // Fallback to stored status in localStorage
-    const stored = this.getStoredStatus();
-    this.updateUI(stored);
+  // Migrated to the current schemaVersion and validated against
+  // status.schema.json (see StatusEngine.parseStatus), or null if it isn't
+  // a status we can show
+  parseStatus(data, source) {
+    try {
+      return StatusEngine.parseStatus(data);
+    } catch (err) {
+      console.warn(`Ignoring invalid status from ${source}:`, err.message);
+      return null;
+    }
   }
 
+  // The copy from the last visit. One that no longer validates is moved to
+  // a backup key instead of being shown or quietly overwritten.
   getStoredStatus() {
+    const stored = localStorage.getItem(this.storageKey);
+    if (!stored) {
+      return StatusEngine.getDefaultStatus();
+    }
+
+    let status = null;
     try {
-      const stored = localStorage.getItem(this.storageKey);
-      return stored ? JSON.parse(stored) : this.getDefaultStatus();
+      status = this.parseStatus(JSON.parse(stored), 'localStorage');
     } catch (error) {
-      return this.getDefaultStatus();
+      console.warn('Ignoring unreadable status in localStorage:', error.message);
+    }
+    if (status) {
+      return status;
+    }
+
+    try {
+      localStorage.setItem(`${this.storageKey}-invalid`, stored);
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      console.warn('Could not back up the stored status:', error);
+    }
+    return StatusEngine.getDefaultStatus();
+  }
+
+  // deadlines.json is a static file next to the page, API or not
+  async loadDeadlines() {
+    try {
+      const resp = await fetch('deadlines.json', { cache: 'no-store' });
+      if (!resp.ok) {
+        console.warn('Failed to fetch deadlines.json, status:', resp.status);
+        return;
+      }
+      this.deadlines = StatusEngine.resolveDeadlines(await resp.json());
+    } catch (err) {
+      console.warn('Could not load deadlines.json:', err && err.message);
+      return;
+    }
+
+    if (this.deadlineInfo) {
+      this.deadlineInfo.hidden = this.deadlines.length === 0;
+    }
+    this.updateDeadlineTimer();
+    this.renderDeadlineList();
+    if (this.currentStatus) {
+      this.updateDowntimeIncidents(this.currentStatus);
     }
   }
 
+  // "CSCT101 Coursework submission" or just the name without a module code
+  formatDeadlineName(deadline) {
+    return deadline.module ? `${deadline.module} ${deadline.name}` : deadline.name;
+  }
+
+  // Due times are shown in UK time whatever the visitor's own time zone
+  formatDeadlineTime(date) {
+    return date.toLocaleString('en-GB', {
+      timeZone: StatusEngine.DEADLINE_TIME_ZONE,
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
   updateDeadlineTimer() {
     if (!this.deadlineTimer) return;
     
     const now = new Date();
-    const timeRemaining = this.deadlineDate.getTime() - now.getTime();
+    const next = this.deadlines.find(deadline => deadline.dueAt > now);
     
-    if (timeRemaining <= 0) {
-      this.deadlineTimer.textContent = 'Deadline: 6 Dec 2pm - PASSED';
+    if (!next) {
+      this.deadlineTimer.textContent = 'No upcoming deadlines';
       this.deadlineTimer.classList.add('deadline-passed');
       return;
     }
     
+    this.deadlineTimer.classList.remove('deadline-passed');
+    const timeRemaining = next.dueAt.getTime() - now.getTime();
     const days = Math.floor(timeRemaining / (1000 * 60 * 60 * 24));
     const hours = Math.floor((timeRemaining % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
     const minutes = Math.floor((timeRemaining % (1000 * 60 * 60)) / (1000 * 60));
     const seconds = Math.floor((timeRemaining % (1000 * 60)) / 1000);
     
-    let timerText = 'Deadline: 6 Dec 2pm — ';
+    let timerText = `${this.formatDeadlineName(next)}: ${this.formatDeadlineTime(next.dueAt)} — `;
     if (days > 0) {
       timerText += `${days}d ${hours}h ${minutes}m`;
     } else if (hours > 0) {
@@ -179,18 +552,63 @@ class CSCTStatus {
     this.deadlineTimer.textContent = timerText;
   }
 
-  getDefaultStatus() {
-    return {
-      lastOnline: null,
-      lastStatus: 'unknown',
-      lastStatusChange: null,
-      currentStreakSeconds: 0,
-      totalUpSeconds: 0,
-      totalDownSeconds: 0,
-      lastChecked: null,
-      downtimeIncidents: [], // New: track individual downtime incidents
-      totalOutages: 0 // New: count total number of outages
-    };
+  // Every target's recorded outages plus any still going, for matching
+  // against deadlines
+  collectOutages(status) {
+    return Object.values((status && status.targets) || {}).flatMap(target => [
+      ...(target.downtimeIncidents || []).map(outage => ({ ...outage, targetName: target.name })),
+      ...(target.lastStatus === 'offline' && target.lastStatusChange ?
+        [{ startTime: target.lastStatusChange, endTime: null, targetName: target.name }] :
+        [])
+    ]);
+  }
+
+  // The expandable list under the timer: upcoming deadlines and those from
+  // the last 30 days, with any outage in the run-up to each
+  renderDeadlineList() {
+    if (!this.deadlineList) return;
+
+    const now = new Date();
+    const recentSince = now.getTime() - 30 * 24 * 60 * 60 * 1000;
+    const outages = this.collectOutages(this.currentStatus);
+
+    this.deadlineList.innerHTML = this.deadlines
+      .filter(deadline => deadline.dueAt.getTime() >= recentSince)
+      .map(deadline => {
+        const passed = deadline.dueAt <= now;
+        const windowHours = Math.round((deadline.dueAt - deadline.windowStart) / (60 * 60 * 1000));
+        const hits = StatusEngine.outagesBeforeDeadline(deadline, outages, now).map(outage => `
+          <div class="deadline-outage">
+            ${escapeHtml(outage.targetName)} was down for ${this.formatDuration(outage.overlapSeconds)}
+            in the ${windowHours}h before${outage.endTime ? '' : ' (ongoing)'}
+          </div>
+        `).join('');
+
+        return `
+          <li class="deadline-item${passed ? ' passed' : ''}">
+            <span class="deadline-name">${escapeHtml(this.formatDeadlineName(deadline))}</span>
+            <time datetime="${deadline.dueAt.toISOString()}">${this.formatDeadlineTime(deadline.dueAt)}</time>
+            <span class="deadline-relative">${passed ? this.formatRelativeTime(deadline.dueAt) : 'upcoming'}</span>
+            ${hits}
+          </li>
+        `;
+      }).join('') || '<li class="deadline-item passed">No deadlines in the last 30 days or coming up</li>';
+  }
+
+  // The first deadline whose run-up window an outage or incident overlaps
+  deadlineHitBy(outage) {
+    return this.deadlines.find(deadline =>
+      StatusEngine.outagesBeforeDeadline(deadline, [outage]).length > 0) || null;
+  }
+
+  // The first target in status.json is CSCT Cloud itself; the footer
+  // summary and streaks describe that one
+  getPrimaryTarget(status) {
+    const ids = Object.keys(status.targets || {});
+    if (ids.length === 0) {
+      return { id: StatusEngine.LEGACY_TARGET.id, ...StatusEngine.getDefaultTargetStatus() };
+    }
+    return { id: ids[0], ...status.targets[ids[0]] };
   }
 
   saveStatus(status) {
@@ -210,9 +628,11 @@ class CSCTStatus {
     this.showCheckingState();
     
     try {
-      await this.checkServerStatus();
+      await this.requestCheck();
     } catch (error) {
       console.error('Refresh failed:', error);
+      this.updateUI(this.getStoredStatus());
+      this.statusDetail.textContent = error.message;
     } finally {
       // Re-enable button
       this.refreshBtn.disabled = false;
@@ -227,7 +647,7 @@ class CSCTStatus {
     
     // Show checking message
     this.statusTextMain.textContent = 'Checking status...';
-    this.statusDetail.innerHTML = 'Testing SSH connectivity to <code>csctcloud.uwe.ac.uk:22</code>';
+    this.statusDetail.innerHTML = 'Testing every service, starting with <code>csctcloud.uwe.ac.uk:22</code>';
     
     // Update meta to show checking state
     this.statusMeta.innerHTML = `
@@ -237,203 +657,409 @@ class CSCTStatus {
   }
 
   async checkServerStatus() {
-    const now = new Date();
-    const prevStatus = this.getStoredStatus();
-    
-    try {
-      // Test TCP connection via backend endpoint
-      const result = await this.testTcpConnection();
-      
-      if (result.success) {
-        // Server is reachable on port 22
-        throw new Error('Test failed');
-        const isOnline = true;
-        const newStatus = this.computeDurations(prevStatus, now, isOnline);
-        newStatus.latency = result.latency;
-        newStatus.portTest = { port: 22, succeeded: true };
-        
-        this.saveStatus(newStatus);
-        this.updateUI(newStatus);
-        console.log(`[✓ SUCCESS] SSH connection to csctcloud.uwe.ac.uk:22 succeeded (latency: ${result.latency}ms)`);
-      } else {
-        throw new Error('Port 22 test failed: ' + result.message);
-      }
-    } catch (error) {
-      // Server is offline or request failed
-      const isOnline = false;
-      const newStatus = this.computeDurations(prevStatus, now, isOnline);
-      newStatus.latency = null;
-      newStatus.error = error.message || 'connection failed';
-      newStatus.portTest = { port: 22, succeeded: false };
-      
-      this.saveStatus(newStatus);
-      this.updateUI(newStatus);
-      console.log(`[✗ FAILED] SSH connection to csctcloud.uwe.ac.uk:22 failed - ${error.message}`);
+    this.servedFromCache = false;
+    const status = await this.fetchStatus();
+
+    if (status && !this.servedFromCache) {
+      // Save into localStorage so UI and future loads use this copy
+      this.saveStatus(status);
+      this.updateUI(status);
+      this.showCachedNotice(null);
+    } else {
+      // Offline: the service worker's copy, or the one in localStorage
+      const cached = status || this.getStoredStatus();
+      this.updateUI(cached);
+      this.showCachedNotice(cached);
     }
+
+    await this.loadIncidents();
+    await this.loadMaintenance();
+    await this.loadReports();
   }
 
-  // Test TCP connection to csctcloud.uwe.ac.uk:22 (simulated/randomized for static frontend)
-  // Note: browsers cannot perform raw TCP connections. For static/demo purposes
-  // we simulate a latency value in the expected range (127–3214 ms).
-  async testTcpConnection() {
+  // Incidents written by maintainers (or opened by the monitor), from the
+  // API when it's up and the static incidents.json otherwise
+  async loadIncidents() {
+    const source = this.apiAvailable ? `${this.apiBase}/api/incidents` : 'incidents.json';
+
     try {
-      // Generate a random latency between 127 and 3214 (inclusive)
-      const latency = Math.floor(Math.random() * (3214 - 127 + 1)) + 127;
-
-      return {
-        success: true,
-        latency: latency,
-        host: 'csctcloud.uwe.ac.uk',
-        port: 22,
-        message: 'SSH port open (simulated)'
-      };
-    } catch (error) {
-      console.warn('Port checker simulation failed:', error && error.message);
-      // Fallback to DNS/HTTPS reachability check
-      return await this.testDnsResolution();
+      const resp = await fetch(source, { cache: 'no-store' });
+      if (!resp.ok) {
+        console.warn(`Failed to fetch ${source}, status:`, resp.status);
+        return;
+      }
+      this.incidents = (await resp.json()).incidents || [];
+    } catch (err) {
+      console.warn(`Could not load ${source}:`, err && err.message);
+      return;
+    }
+
+    this.renderIncidentBanner();
+    if (this.currentStatus) {
+      this.updateDowntimeIncidents(this.currentStatus);
     }
   }
 
-  // Fallback: Test if the host at least resolves via DNS (HTTPS fetch as indicator)
-  async testDnsResolution() {
-    try {
-      const startTime = Date.now();
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000);
+  // Pinned above everything while any incident is unresolved
+  renderIncidentBanner() {
+    if (!this.incidentBanner) return;
 
-      try {
-        // Use no-cors fetch as a best-effort connectivity indicator
-        await fetch('https://csctcloud.uwe.ac.uk/', { signal: controller.signal, mode: 'no-cors' });
-        clearTimeout(timeoutId);
-        const latency = Date.now() - startTime;
-        return {
-          success: true,
-          latency: latency,
-          host: 'csctcloud.uwe.ac.uk',
-          port: 443,
-          message: 'Host is reachable (HTTPS fallback)'
-        };
-      } catch (fetchError) {
-        clearTimeout(timeoutId);
-        return {
-          success: false,
-          latency: null,
-          host: 'csctcloud.uwe.ac.uk',
-          port: 22,
-          message: 'Host unreachable'
-        };
+    const open = this.incidents.filter(incident => incident.status !== 'resolved');
+    this.incidentBanner.hidden = open.length === 0;
+
+    this.incidentBanner.innerHTML = open.map(incident => {
+      const latest = incident.updates[incident.updates.length - 1];
+      return `
+        <div class="incident-banner-item ${escapeHtml(incident.severity)}">
+          <strong>${escapeHtml(incident.title)}</strong>
+          <span class="incident-status ${escapeHtml(incident.status)}">${escapeHtml(this.formatIncidentStatus(incident.status))}</span>
+          ${latest.message ? `<p>${escapeHtml(latest.message)}</p>` : ''}
+          <span class="incident-banner-time">Updated ${this.formatRelativeTime(new Date(latest.at))}</span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // Planned maintenance windows, from the API when it's up and the static
+  // maintenance.json otherwise
+  async loadMaintenance() {
+    const source = this.apiAvailable ? `${this.apiBase}/api/maintenance` : 'maintenance.json';
+
+    try {
+      const resp = await fetch(source, { cache: 'no-store' });
+      if (!resp.ok) {
+        console.warn(`Failed to fetch ${source}, status:`, resp.status);
+        return;
       }
-    } catch (error) {
-      console.warn('DNS resolution test error:', error && error.message);
-      return {
-        success: false,
-        latency: null,
-        host: 'csctcloud.uwe.ac.uk',
-        port: 22,
-        message: 'Host unreachable'
-      };
+      this.maintenanceWindows = (await resp.json()).windows || [];
+    } catch (err) {
+      console.warn(`Could not load ${source}:`, err && err.message);
+      return;
     }
+
+    this.renderMaintenanceBanner();
   }
 
-  computeDurations(prevStatus, now, isOnline) {
-    const updated = { ...prevStatus };
-    const nowIso = now.toISOString();
+  // Windows in progress, then any starting within the next week
+  renderMaintenanceBanner() {
+    if (!this.maintenanceBanner) return;
 
-    const lastChecked = prevStatus.lastChecked
-      ? new Date(prevStatus.lastChecked)
-      : null;
+    const now = new Date();
+    const active = StatusEngine.currentMaintenance(this.maintenanceWindows, now);
+    const upcoming = StatusEngine.upcomingMaintenance(this.maintenanceWindows, now);
+    this.maintenanceBanner.hidden = active.length === 0 && upcoming.length === 0;
+
+    const item = (window, label) => `
+      <div class="maintenance-banner-item">
+        <strong>${label}</strong>
+        ${window.description ? `<p>${escapeHtml(window.description)}</p>` : ''}
+        <span class="maintenance-banner-time">
+          ${this.formatMaintenanceTime(window.start)} to ${this.formatMaintenanceTime(window.end)}
+        </span>
+      </div>
+    `;
 
-    let deltaSeconds = 0;
-    if (lastChecked && !Number.isNaN(lastChecked.getTime())) {
-      deltaSeconds = Math.max(0, (now.getTime() - lastChecked.getTime()) / 1000);
+    this.maintenanceBanner.innerHTML = [
+      ...active.map(window => item(window, 'Scheduled maintenance in progress')),
+      ...upcoming.map(window => item(window, 'Upcoming maintenance'))
+    ].join('');
+  }
+
+  setupReports() {
+    if (!this.reportBtn || !this.reportForm) return;
+
+    this.reportCategory.innerHTML = Object.entries(StatusEngine.REPORT_CATEGORIES)
+      .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`)
+      .join('');
+
+    this.reportBtn.addEventListener('click', () => {
+      this.reportForm.hidden = !this.reportForm.hidden;
+    });
+    document.getElementById('report-cancel').addEventListener('click', () => {
+      this.reportForm.hidden = true;
+    });
+    this.reportForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.sendReport(this.reportCategory.value);
+    });
+
+    setInterval(() => this.loadReports(), REPORTS_POLL_MS);
+  }
+
+  // How many visitors reported problems recently; only the API has them
+  async loadReports() {
+    if (!this.apiAvailable) {
+      this.setReportSummary(null);
+      return;
     }
 
-    // If previous status was known, accumulate into total up/down counters
-    if (prevStatus.lastStatus === 'online') {
-      updated.totalUpSeconds = (prevStatus.totalUpSeconds || 0) + deltaSeconds;
-    } else if (prevStatus.lastStatus === 'offline') {
-      updated.totalDownSeconds = (prevStatus.totalDownSeconds || 0) + deltaSeconds;
+    try {
+      const resp = await fetch(`${this.apiBase}/api/reports`, { cache: 'no-store' });
+      if (!resp.ok) {
+        console.warn('Reports API returned', resp.status);
+        return;
+      }
+      this.setReportSummary(await resp.json());
+    } catch (err) {
+      console.warn('Could not load reports:', err && err.message);
     }
+  }
 
-    const newStatus = isOnline ? 'online' : 'offline';
-    const wasOffline = prevStatus.lastStatus === 'offline';
-    const wasOnline = prevStatus.lastStatus === 'online';
+  async sendReport(category) {
+    const submit = this.reportForm.querySelector('button[type="submit"]');
+    submit.disabled = true;
 
-    // Status changed: reset streak and timestamp
-    if (newStatus !== prevStatus.lastStatus) {
-      updated.lastStatus = newStatus;
-      updated.lastStatusChange = nowIso;
-      
-      // If coming back online from offline, record the downtime incident
-      if (isOnline && wasOffline && prevStatus.lastStatusChange) {
-        const downtimeStart = new Date(prevStatus.lastStatusChange);
-        const downtimeDuration = Math.max(0, (now.getTime() - downtimeStart.getTime()) / 1000);
-        
-        if (downtimeDuration > 0) {
-          const incident = {
-            startTime: prevStatus.lastStatusChange,
-            endTime: nowIso,
-            duration: Math.round(downtimeDuration),
-            id: Date.now() // Simple ID based on timestamp
-          };
-          
-          // Add to incidents list (keep last 10)
-          updated.downtimeIncidents = [
-            incident,
-            ...(prevStatus.downtimeIncidents || []).slice(0, 9)
-          ];
-          
-          updated.totalOutages = (prevStatus.totalOutages || 0) + 1;
-        }
+    try {
+      const resp = await fetch(`${this.apiBase}/api/reports`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ category })
+      });
+      if (resp.status === 429) {
+        throw new Error('You have already reported a problem recently, thanks');
       }
-      
-      updated.currentStreakSeconds = 0;
-    } else {
-      updated.currentStreakSeconds =
-        (prevStatus.currentStreakSeconds || 0) + deltaSeconds;
+      if (!resp.ok) {
+        throw new Error(`Could not send the report (HTTP ${resp.status})`);
+      }
+      this.setReportSummary(await resp.json());
+      this.reportForm.hidden = true;
+      this.reportBtn.textContent = 'Thanks for reporting';
+    } catch (error) {
+      console.error('Sending report failed:', error);
+      this.statusDetail.textContent = error.message;
+    } finally {
+      submit.disabled = false;
     }
+  }
 
-    if (isOnline) {
-      updated.lastOnline = nowIso;
+  // A spike can change the overall state (see updateUI), so redraw when
+  // that flips
+  setReportSummary(summary) {
+    const wasDegrading = this.reportsDegrade();
+    this.reportSummary = summary;
+    this.renderReportsIndicator();
+    if (this.currentStatus && wasDegrading !== this.reportsDegrade()) {
+      this.updateUI(this.currentStatus);
     }
+  }
+
+  // "reports.degrade" in targets.json: a spike shows as degraded
+  reportsDegrade() {
+    return Boolean(this.reportSummary && this.reportSummary.spike && this.reportSummary.degrade);
+  }
+
+  // e.g. "6 reports in the last 30 min, mostly Can't log in"
+  describeReports() {
+    const { total, byCategory, windowMinutes } = this.reportSummary;
+    const [top] = Object.entries(byCategory).sort((a, b) => b[1] - a[1]);
+    const label = top ? StatusEngine.REPORT_CATEGORIES[top[0]] || top[0] : '';
+    return `${total} report${total === 1 ? '' : 's'} in the last ${windowMinutes} min` +
+      (label ? `, mostly ${label}` : '');
+  }
+
+  renderReportsIndicator() {
+    if (!this.reportsIndicator) return;
 
-    // Ensure arrays exist
-    updated.downtimeIncidents = updated.downtimeIncidents || [];
-    updated.totalOutages = updated.totalOutages || 0;
+    const summary = this.reportSummary;
+    this.reportsIndicator.hidden = !summary || summary.total === 0;
+    if (this.reportsIndicator.hidden) return;
 
-    updated.lastChecked = nowIso;
-    return updated;
+    this.reportsIndicator.className = `reports-indicator${summary.spike ? ' spike' : ''}`;
+    this.reportsIndicator.textContent = `${summary.total} user report${summary.total === 1 ? '' : 's'}`;
+    this.reportsIndicator.title = Object.entries(summary.byCategory)
+      .map(([category, count]) => `${StatusEngine.REPORT_CATEGORIES[category] || category}: ${count}`)
+      .concat(`in the last ${summary.windowMinutes} minutes`)
+      .join('\n');
+  }
+
+  formatMaintenanceTime(iso) {
+    return new Date(iso).toLocaleString(undefined, {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  formatIncidentStatus(status) {
+    return status.charAt(0).toUpperCase() + status.slice(1);
+  }
+
+  // Ask the API to probe every target now (rate limited server side)
+  async requestCheck() {
+    const resp = await fetch(`${this.apiBase}/api/check`, { method: 'POST' });
+
+    if (resp.status === 429) {
+      const retryAfter = resp.headers.get('Retry-After');
+      throw new Error(`Too many re-checks, try again in ${retryAfter || 'a few'}s`);
+    }
+    if (resp.status === 409) {
+      throw new Error('A check is already running, results will be up shortly');
+    }
+    if (!resp.ok) {
+      throw new Error(`Check failed (HTTP ${resp.status})`);
+    }
+
+    const status = this.parseStatus(await resp.json(), '/api/check');
+    if (!status) {
+      throw new Error('The check returned a status this page cannot read');
+    }
+    this.saveStatus(status);
+    this.updateUI(status);
   }
 
   updateUI(status) {
-    const isOnline = status.lastStatus === 'online';
-    const isOffline = status.lastStatus === 'offline';
-    const isUnknown = status.lastStatus === 'unknown';
+    this.currentStatus = status;
+    const overall = status.overallStatus || StatusEngine.computeOverallStatus(status.targets || {});
+    const primary = this.getPrimaryTarget(status);
 
     // Update status dot and main text
     this.statusDot.className = 'status-dot';
     this.statusTextMain.className = 'status-text-main';
 
-    if (isOnline) {
+    // Enough visitors reporting problems while every check passes: they
+    // can see something the probes can't
+    if (this.reportsDegrade() && (overall === 'online' || overall === 'warning')) {
+      this.statusDot.classList.add('degraded');
+      this.statusTextMain.classList.add('degraded');
+      this.statusTextMain.textContent = `Users are reporting problems: ${this.describeReports()}`;
+    } else if (overall === 'online') {
       this.statusDot.classList.add('online');
       this.statusTextMain.classList.add('online');
-      this.statusTextMain.textContent = 'CSCT Cloud is online';
-    } else if (isOffline) {
+      this.statusTextMain.textContent = 'All systems online';
+    } else if (overall === 'degraded') {
+      const slow = Object.values(status.targets)
+        .filter(t => t.lastStatus === 'degraded')
+        .map(t => t.name);
+      this.statusDot.classList.add('degraded');
+      this.statusTextMain.classList.add('degraded');
+      this.statusTextMain.textContent = `Degraded performance: ${slow.join(', ')} responding slowly`;
+    } else if (overall === 'warning') {
+      const warned = Object.values(status.targets).find(t => t.warning);
+      this.statusDot.classList.add('degraded');
+      this.statusTextMain.classList.add('degraded');
+      this.statusTextMain.textContent = `All systems online, but ${warned.name} needs attention`;
+    } else if (overall === 'partial') {
+      this.statusDot.classList.add('partial');
+      this.statusTextMain.classList.add('partial');
+      this.statusTextMain.textContent = 'Some systems are offline';
+    } else if (overall === 'offline') {
       this.statusDot.classList.add('offline');
       this.statusTextMain.classList.add('offline');
-      this.statusTextMain.textContent = 'CSCT Cloud is offline';
+      this.statusTextMain.textContent = 'All systems offline';
+    } else if (overall === 'maintenance') {
+      this.statusDot.classList.add('maintenance');
+      this.statusTextMain.classList.add('maintenance');
+      this.statusTextMain.textContent = 'Scheduled maintenance in progress';
     } else {
       this.statusTextMain.textContent = 'Checking status...';
     }
 
+    // Update the per-target rows
+    this.updateTargets(status);
+
     // Update meta information
     this.updateMetaInfo(status);
 
     // Update uptime summary
-    this.updateUptimeSummary(status);
+    this.updateUptimeSummary(primary);
     
     // Update downtime incidents
     this.updateDowntimeIncidents(status);
+    this.renderDeadlineList();
+  }
+
+  updateTargets(status) {
+    const targets = Object.entries(status.targets || {});
+    const onlineCount = targets
+      .filter(([, t]) => t.lastStatus === 'online' || t.lastStatus === 'degraded')
+      .length;
+
+    if (targets.length > 0) {
+      this.statusDetail.textContent = `${onlineCount} of ${targets.length} services reachable`;
+    }
+
+    // Why the first service that's down is down, in plain language
+    const diagnosed = targets.find(([, t]) => t.lastStatus === 'offline' && t.diagnosis);
+    if (diagnosed) {
+      this.statusDetail.textContent = `${diagnosed[1].name}: ${diagnosed[1].diagnosis.summary}`;
+    }
+
+    if (!this.targetsList) return;
+
+    this.targetsList.innerHTML = targets.map(([id, target]) => {
+      let state = ['online', 'offline', 'degraded', 'maintenance'].includes(target.lastStatus) ?
+        target.lastStatus :
+        'unknown';
+      if (state === 'online' && target.warning) {
+        state = 'warning';
+      }
+
+      let detail = 'not checked yet';
+      if (state === 'online') {
+        detail = target.latency ? `${target.latency}ms` : 'reachable';
+      } else if (state === 'degraded') {
+        detail = `${target.latency}ms (slow)`;
+      } else if (state === 'warning') {
+        detail = target.warning.code === 'host-key-changed' ? 'host key changed' : 'warning';
+      } else if (state === 'offline') {
+        detail = target.diagnosis ?
+          DIAGNOSIS_LABELS[target.diagnosis.kind] || target.error || 'unreachable' :
+          target.error || 'unreachable';
+      } else if (state === 'maintenance') {
+        detail = target.maintenance ?
+          `maintenance until ${this.formatMaintenanceTime(target.maintenance.end)}` :
+          'planned maintenance';
+      }
+
+      // Checked from several places: how many of them are failing
+      if (target.quorum && target.quorum.total > 1 && target.quorum.failing > 0) {
+        detail += ` · failing from ${target.quorum.failing} of ${target.quorum.total} locations`;
+      }
+
+      // A change seen but not yet confirmed by enough checks in a row
+      if (target.pending) {
+        const verb = target.pending.status === 'offline' ? 'failing' : 'recovering';
+        detail += ` · ${verb}, confirming ${target.pending.count}/${target.pending.needed}`;
+      }
+
+      const endpoint = target.host ? `${target.host}:${target.port}` : id;
+      const sshInfo = target.ssh ?
+        [target.ssh.serverVersion, target.ssh.hostKeyFingerprint].filter(Boolean).join('\n') :
+        '';
+      const tooltip = state === 'offline' && target.diagnosis ? target.diagnosis.summary : sshInfo;
+
+      return `
+        <div class="target-row" data-target="${id}" ${tooltip ? `title="${escapeHtml(tooltip)}"` : ''}>
+          <span class="target-dot ${state}"></span>
+          <span class="target-name">${escapeHtml(target.name || id)}</span>
+          <code class="target-endpoint">${escapeHtml(endpoint)}</code>
+          <span class="target-detail ${state}">${escapeHtml(detail)}</span>
+          ${target.warning ? `<div class="target-warning">${escapeHtml(target.warning.message)}</div>` : ''}
+          ${this.renderVantages(target)}
+        </div>
+      `;
+    }).join('');
+  }
+
+  // What each vantage point saw (names come from vantages.json)
+  renderVantages(target) {
+    const vantages = Object.values(target.vantages || {});
+    if (vantages.length < 2) return '';
+
+    return `
+      <div class="target-vantages">
+        ${vantages.map(vantage => `
+          <span class="target-vantage ${vantage.online ? 'online' : 'offline'}"
+                title="checked ${this.formatRelativeTime(new Date(vantage.checkedAt))}">
+            ${escapeHtml(vantage.name)}: ${vantage.online ?
+              (vantage.latency !== null ? `${vantage.latency}ms` : 'reachable') :
+              escapeHtml(vantage.error || 'unreachable')}
+          </span>
+        `).join('')}
+      </div>
+    `;
   }
 
   updateMetaInfo(status) {
@@ -441,18 +1067,23 @@ class CSCTStatus {
       this.formatRelativeTime(new Date(status.lastChecked)) : 
       'never';
 
+    const primary = this.getPrimaryTarget(status);
     let latencyText = '—';
-    if (status.latency) {
-      latencyText = `${status.latency}ms`;
-    } else if (status.lastStatus === 'online') {
+    if (primary.latency) {
+      latencyText = `${primary.latency}ms`;
+      if (primary.lastStatus === 'degraded') {
+        latencyText += ' (slow)';
+      }
+    } else if (primary.lastStatus === 'online') {
       latencyText = '< 1s';
-    } else if (status.lastStatus === 'offline') {
-      latencyText = status.error || 'failed';
+    } else if (primary.lastStatus === 'offline') {
+      latencyText = primary.error || 'failed';
     }
 
+    // latencyText can be the error the remote server sent
     this.statusMeta.innerHTML = `
       <span class="metric">Last check: ${lastChecked}</span>
-      <span class="metric">Response: ${latencyText}</span>
+      <span class="metric">Response: ${escapeHtml(latencyText)}</span>
     `;
   }
 
@@ -466,70 +1097,81 @@ class CSCTStatus {
         lastCheckSpan.textContent = `Last check: ${lastChecked}`;
       }
       
-      // Also update the current streak in real-time
-      this.updateCurrentStreakRealTime(status);
+      this.updateUptimeSummary(this.getPrimaryTarget(status));
     }
   }
 
-  updateCurrentStreakRealTime(status) {
-    if (status.totalUpSeconds === 0 && status.totalDownSeconds === 0) {
-      return; // No data yet
-    }
-
-    const now = new Date();
-    const lastStatusChange = status.lastStatusChange ? new Date(status.lastStatusChange) : null;
-    
-    if (!lastStatusChange) return;
-
-    // Calculate real-time streak duration
-    const timeSinceChange = Math.max(0, (now.getTime() - lastStatusChange.getTime()) / 1000);
-    const currentStreakSeconds = timeSinceChange;
-    
-    const totalSeconds = status.totalUpSeconds + status.totalDownSeconds;
-    const uptimePercent = totalSeconds > 0 ? 
-      ((status.totalUpSeconds / totalSeconds) * 100).toFixed(1) : 
-      0;
-
-    const streakText = this.formatDuration(currentStreakSeconds);
-    const currentStatus = status.lastStatus === 'online' ? 'online' : 'offline';
-
-    this.uptimeSummary.innerHTML = `
-      Uptime: ${uptimePercent}% | Current streak: ${streakText} ${currentStatus}
-    `;
-  }
-
   updateUptimeSummary(status) {
-    if (status.totalUpSeconds === 0 && status.totalDownSeconds === 0) {
+    const uptimePercent = StatusEngine.availabilityPercent(status);
+    if (uptimePercent === null) {
       if (this.downtimeCount) {
         this.downtimeCount.textContent = '';
       }
       return;
     }
 
-    const totalSeconds = status.totalUpSeconds + status.totalDownSeconds;
-    const uptimePercent = totalSeconds > 0 ? 
-      ((status.totalUpSeconds / totalSeconds) * 100).toFixed(1) : 
-      0;
-
-    const streakText = this.formatDuration(status.currentStreakSeconds);
-    const currentStatus = status.lastStatus === 'online' ? 'online' : 'offline';
+    const streakText = this.formatDuration(StatusEngine.currentStreakSeconds(status, new Date()));
+    const currentStatus = ['online', 'degraded'].includes(status.lastStatus) ?
+      status.lastStatus :
+      status.lastStatus === 'maintenance' ? 'in maintenance' : 'offline';
 
     this.uptimeSummary.innerHTML = `
-      Uptime: ${uptimePercent}% | Current streak: ${streakText} ${currentStatus}
+      Uptime: ${uptimePercent.toFixed(1)}% | Current streak: ${streakText} ${currentStatus}
     `;
     
     // Update downtime count
     if (this.downtimeCount) {
       const outages = status.totalOutages || 0;
       const totalDowntime = this.formatDuration(status.totalDownSeconds);
-      this.downtimeCount.textContent = `${outages} outage${outages !== 1 ? 's' : ''} • ${totalDowntime} total downtime`;
+      let countText = `${outages} outage${outages !== 1 ? 's' : ''} • ${totalDowntime} total downtime`;
+
+      const slowPeriods = status.totalDegradations || 0;
+      if (slowPeriods > 0 || status.totalDegradedSeconds > 0) {
+        countText += ` • ${this.formatDuration(status.totalDegradedSeconds || 0)} degraded`;
+      }
+      if (status.totalMaintenanceSeconds > 0) {
+        countText += ` • ${this.formatDuration(status.totalMaintenanceSeconds)} planned maintenance`;
+      }
+      if (status.totalUnknownSeconds > 0) {
+        countText += ` • ${this.formatDuration(status.totalUnknownSeconds)} not monitored`;
+      }
+      this.downtimeCount.textContent = countText;
     }
   }
 
   updateDowntimeIncidents(status) {
     if (!this.downtimeSection || !this.incidentsList) return;
-    
-    const incidents = status.downtimeIncidents || [];
+
+    const targetName = id => (status.targets && status.targets[id] && status.targets[id].name) || id;
+    const annotated = this.incidents.map(incident => ({
+      ...incident,
+      kind: 'annotated',
+      startTime: incident.createdAt,
+      endTime: incident.resolvedAt
+    }));
+
+    // Raw outages and slow periods from every target, minus those an
+    // incident already describes (same target, overlapping time)
+    const isCovered = (targetId, outage) => annotated.some(incident =>
+      incident.targets.includes(targetId) &&
+      new Date(incident.startTime) <= new Date(outage.endTime) &&
+      (!incident.endTime || new Date(incident.endTime) >= new Date(outage.startTime)));
+
+    const raw = Object.entries(status.targets || {})
+      .flatMap(([id, target]) => [
+        ...(target.downtimeIncidents || []).map(incident => ({ ...incident, kind: 'outage' })),
+        ...(target.degradedIncidents || []).map(incident => ({ ...incident, kind: 'degraded' }))
+      ]
+        .filter(incident => !isCovered(id, incident))
+        .map(incident => ({
+          ...incident,
+          targetName: target.name
+        })));
+
+    // Newest first
+    const incidents = [...annotated, ...raw]
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+      .slice(0, 10);
     
     if (incidents.length === 0) {
       this.downtimeSection.style.display = 'none';
@@ -539,47 +1181,68 @@ class CSCTStatus {
     this.downtimeSection.style.display = 'block';
     
     this.incidentsList.innerHTML = incidents.map(incident => {
+      if (incident.kind === 'annotated') {
+        return this.renderAnnotatedIncident(incident, targetName);
+      }
+
       const startTime = new Date(incident.startTime);
       const endTime = new Date(incident.endTime);
       const duration = this.formatDuration(incident.duration);
+      const deadline = incident.kind === 'outage' ? this.deadlineHitBy(incident) : null;
       
       return `
         <div class="incident-item">
+          ${incident.targetName ? `<div class="incident-target">${escapeHtml(incident.targetName)}</div>` : ''}
           <div class="incident-time">
             ${this.formatDateTime(startTime)} - ${this.formatDateTime(endTime)}
           </div>
-          <div class="incident-duration">
-            Downtime: ${duration}
+          <div class="incident-duration ${incident.kind}">
+            ${incident.kind === 'degraded' ?
+              `Slow responses: ${duration}${incident.peakLatency ? ` (peak ${incident.peakLatency}ms)` : ''}` :
+              `Downtime: ${duration}`}
           </div>
+          ${deadline ? this.renderDeadlineNote(deadline) : ''}
         </div>
       `;
     }).join('');
   }
 
-  updateCurrentStreak(status) {
-    if (status.totalUpSeconds === 0 && status.totalDownSeconds === 0) {
-      return; // No data yet
-    }
+  // An incident from incidents.json with its timeline, latest update first
+  renderAnnotatedIncident(incident, targetName) {
+    const startTime = new Date(incident.startTime);
+    const endText = incident.endTime ? this.formatDateTime(new Date(incident.endTime)) : 'ongoing';
+    const affected = incident.targets.map(id => escapeHtml(targetName(id))).join(', ');
+    const deadline = this.deadlineHitBy(incident);
 
-    const now = new Date();
-    const lastStatusChange = status.lastStatusChange ? new Date(status.lastStatusChange) : null;
-    
-    if (!lastStatusChange) return;
-
-    // Calculate real-time streak duration
-    const timeSinceChange = Math.max(0, (now.getTime() - lastStatusChange.getTime()) / 1000);
-    const currentStreakSeconds = status.currentStreakSeconds + timeSinceChange;
-    
-    const totalSeconds = status.totalUpSeconds + status.totalDownSeconds;
-    const uptimePercent = totalSeconds > 0 ? 
-      ((status.totalUpSeconds / totalSeconds) * 100).toFixed(1) : 
-      0;
+    const timeline = incident.updates.slice().reverse().map(update => `
+      <li class="timeline-entry">
+        <span class="incident-status ${escapeHtml(update.status)}">${escapeHtml(this.formatIncidentStatus(update.status))}</span>
+        <time datetime="${update.at}">${this.formatDateTime(new Date(update.at))}</time>
+        ${update.message ? `<p>${escapeHtml(update.message)}</p>` : ''}
+      </li>
+    `).join('');
 
-    const streakText = this.formatDuration(currentStreakSeconds);
-    const currentStatus = status.lastStatus === 'online' ? 'online' : 'offline';
+    return `
+      <div class="incident-item ${incident.status === 'resolved' ? '' : 'ongoing'}">
+        <div class="incident-header">
+          <span class="incident-target">${escapeHtml(incident.title)}</span>
+          <span class="incident-severity ${escapeHtml(incident.severity)}">${escapeHtml(incident.severity)}</span>
+        </div>
+        <div class="incident-time">
+          ${affected ? `${affected} · ` : ''}${this.formatDateTime(startTime)} - ${endText}
+        </div>
+        ${deadline ? this.renderDeadlineNote(deadline) : ''}
+        <ol class="incident-timeline">${timeline}</ol>
+      </div>
+    `;
+  }
 
-    this.uptimeSummary.innerHTML = `
-      Uptime: ${uptimePercent}% | Current streak: ${streakText} ${currentStatus}
+  renderDeadlineNote(deadline) {
+    return `
+      <div class="incident-deadline">
+        In the run-up to ${escapeHtml(this.formatDeadlineName(deadline))}
+        (due ${this.formatDeadlineTime(deadline.dueAt)})
+      </div>
     `;
   }
 
@@ -612,17 +1275,7 @@ class CSCTStatus {
   }
 
   formatDuration(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = Math.floor(seconds % 60);
-
-    if (hours > 0) {
-      return `${hours}h ${minutes}m`;
-    } else if (minutes > 0) {
-      return `${minutes}m ${secs}s`;
-    } else {
-      return `${secs}s`;
-    }
+    return StatusEngine.formatDuration(seconds);
   }
 
   showError(message) {
@@ -632,10 +1285,351 @@ class CSCTStatus {
   }
 }
 
+class StatusCharts {
+  constructor() {
+    this.section = document.getElementById('status-history');
+    this.targetSelect = document.getElementById('history-target');
+    this.rangeTabs = document.querySelectorAll('.range-tab');
+    this.latencyChart = document.getElementById('latency-chart');
+    this.availabilityStrip = document.getElementById('availability-strip');
+    this.availabilitySummary = document.getElementById('availability-summary');
+    this.slaStats = document.getElementById('sla-stats');
+    this.tooltip = document.getElementById('chart-tooltip');
+
+    this.historyData = null;
+    this.range = '24h';
+    this.targetId = null;
+
+    // Time span shown for each range tab, in hours
+    this.ranges = { '24h': 24, '7d': 24 * 7, '30d': 24 * 30 };
+
+    if (this.section) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.rangeTabs.forEach(tab => {
+      tab.addEventListener('click', () => {
+        this.range = tab.dataset.range;
+        this.rangeTabs.forEach(t => t.classList.toggle('active', t === tab));
+        this.renderLatencyChart();
+      });
+    });
+
+    if (this.targetSelect) {
+      this.targetSelect.addEventListener('change', () => {
+        this.targetId = this.targetSelect.value;
+        this.render();
+      });
+    }
+
+    this.loadHistory();
+
+    // history.json only changes when the backend runs: reload when the live
+    // stream reports a new check, otherwise at the status polling cadence
+    document.addEventListener('csct-status-update', () => this.loadHistory());
+    setInterval(() => this.loadHistory(), 900000);
+  }
+
+  async loadHistory() {
+    // Same order as CSCTStatus.fetchStatus: API first, static file as fallback
+    const sources = [`${getApiBase()}/api/history`, 'history.json'];
+    this.historyData = null;
+
+    for (const source of sources) {
+      try {
+        const resp = await fetch(source, { cache: 'no-store' });
+        if (resp.ok) {
+          this.historyData = await resp.json();
+          break;
+        }
+        console.warn(`Failed to fetch ${source}, status:`, resp.status);
+      } catch (err) {
+        console.warn(`Could not load ${source}:`, err && err.message);
+      }
+    }
+
+    if (!this.historyData) return;
+
+    const ids = Object.keys(this.historyData.targets || {});
+    if (ids.length === 0) return;
+
+    if (!this.targetId || !ids.includes(this.targetId)) {
+      this.targetId = ids[0];
+    }
+
+    if (this.targetSelect) {
+      this.targetSelect.innerHTML = ids.map(id => `
+        <option value="${escapeHtml(id)}" ${id === this.targetId ? 'selected' : ''}>
+          ${escapeHtml(this.historyData.targets[id].name || id)}
+        </option>
+      `).join('');
+    }
+
+    this.section.style.display = 'block';
+    this.render();
+  }
+
+  render() {
+    this.renderLatencyChart();
+    this.renderAvailability();
+    this.renderStats();
+  }
+
+  getTarget() {
+    return this.historyData && this.historyData.targets[this.targetId];
+  }
+
+  // Raw checks for the 24h view, hourly averages for longer ranges
+  getLatencyPoints() {
+    const target = this.getTarget();
+    if (!target) return [];
+
+    const hours = this.ranges[this.range];
+    const since = Date.now() - hours * 60 * 60 * 1000;
+    const series = this.range === '24h' ? target.recent : target.hourly;
+
+    return (series || [])
+      .map(([time, latency]) => ({ time: new Date(time).getTime(), latency }))
+      .filter(point => point.time >= since);
+  }
+
+  renderLatencyChart() {
+    if (!this.latencyChart) return;
+
+    const points = this.getLatencyPoints();
+    const measured = points.filter(point => point.latency !== null);
+
+    if (measured.length === 0) {
+      this.latencyChart.innerHTML = '<div class="chart-empty">No latency data for this period yet</div>';
+      return;
+    }
+
+    const width = 520;
+    const height = 160;
+    const padding = { top: 12, right: 8, bottom: 20, left: 44 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const end = Date.now();
+    const start = end - this.ranges[this.range] * 60 * 60 * 1000;
+    const maxLatency = Math.max(...measured.map(point => point.latency));
+    const yMax = Math.max(100, Math.ceil(maxLatency * 1.1 / 100) * 100);
+
+    const x = time => padding.left + ((time - start) / (end - start)) * plotWidth;
+    const y = latency => padding.top + plotHeight - (latency / yMax) * plotHeight;
+
+    // Break the line wherever a check failed so outages show as gaps
+    let pathData = '';
+    let penDown = false;
+    points.forEach(point => {
+      if (point.latency === null) {
+        penDown = false;
+        return;
+      }
+      pathData += `${penDown ? 'L' : 'M'}${x(point.time).toFixed(1)},${y(point.latency).toFixed(1)} `;
+      penDown = true;
+    });
+
+    const gridLines = [0, 0.5, 1].map(fraction => {
+      const value = Math.round(yMax * fraction);
+      const lineY = y(value).toFixed(1);
+      return `
+        <line class="chart-grid" x1="${padding.left}" x2="${width - padding.right}" y1="${lineY}" y2="${lineY}"></line>
+        <text class="chart-axis" x="${padding.left - 6}" y="${lineY}" text-anchor="end" dominant-baseline="middle">${value}ms</text>
+      `;
+    }).join('');
+
+    this.latencyChart.innerHTML = `
+      <svg viewBox="0 0 ${width} ${height}" role="img"
+           aria-label="Response time over the last ${this.range}">
+        ${gridLines}
+        <text class="chart-axis" x="${padding.left}" y="${height - 4}">${this.formatAxisTime(start)}</text>
+        <text class="chart-axis" x="${width - padding.right}" y="${height - 4}" text-anchor="end">now</text>
+        <path class="chart-line" d="${pathData.trim()}"></path>
+        <circle class="chart-marker" r="3.5" cx="-10" cy="-10"></circle>
+        <rect class="chart-hover" x="${padding.left}" y="${padding.top}" width="${plotWidth}" height="${plotHeight}"></rect>
+      </svg>
+    `;
+
+    const svg = this.latencyChart.querySelector('svg');
+    const marker = svg.querySelector('.chart-marker');
+    const hoverArea = svg.querySelector('.chart-hover');
+
+    hoverArea.addEventListener('mousemove', (event) => {
+      const bounds = svg.getBoundingClientRect();
+      const svgX = ((event.clientX - bounds.left) / bounds.width) * width;
+      const time = start + ((svgX - padding.left) / plotWidth) * (end - start);
+
+      const nearest = measured.reduce((best, point) =>
+        Math.abs(point.time - time) < Math.abs(best.time - time) ? point : best
+      );
+
+      marker.setAttribute('cx', x(nearest.time));
+      marker.setAttribute('cy', y(nearest.latency));
+
+      const label = this.range === '24h' ? 'Response' : 'Hourly average';
+      this.showTooltip(event, `
+        <strong>${nearest.latency}ms</strong>
+        <span>${label} · ${this.formatTooltipTime(nearest.time)}</span>
+      `);
+    });
+
+    hoverArea.addEventListener('mouseleave', () => {
+      marker.setAttribute('cx', -10);
+      marker.setAttribute('cy', -10);
+      this.hideTooltip();
+    });
+  }
+
+  renderAvailability() {
+    if (!this.availabilityStrip) return;
+
+    const target = this.getTarget();
+    const byDate = new Map(((target && target.daily) || []).map(day => [day.date, day]));
+
+    // Always draw 90 bars, oldest on the left, so gaps before monitoring started are visible
+    const days = [];
+    const today = new Date();
+    for (let offset = 89; offset >= 0; offset--) {
+      const date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - offset));
+      const key = date.toISOString().slice(0, 10);
+      days.push(byDate.get(key) || { date: key, checks: 0, up: 0, uptime: null });
+    }
+
+    this.availabilityStrip.innerHTML = days.map(day => `
+      <span class="availability-bar ${day.uptime === null && day.maintenance ? 'maintenance' : this.getUptimeClass(day.uptime)}"
+            data-date="${day.date}"
+            data-uptime="${day.uptime === null ? '' : day.uptime}"
+            data-checks="${day.checks}"
+            data-maintenance="${day.maintenance || 0}"></span>
+    `).join('');
+
+    this.availabilityStrip.querySelectorAll('.availability-bar').forEach(bar => {
+      bar.addEventListener('mouseenter', (event) => {
+        const date = this.formatDay(bar.dataset.date);
+        let text = bar.dataset.uptime === '' ?
+          'No data' :
+          `${bar.dataset.uptime}% uptime (${bar.dataset.checks} checks)`;
+        if (bar.dataset.maintenance !== '0') {
+          text = bar.dataset.uptime === '' ? 'Planned maintenance' : `${text}, plus planned maintenance`;
+        }
+        this.showTooltip(event, `<strong>${date}</strong><span>${text}</span>`);
+      });
+      bar.addEventListener('mouseleave', () => this.hideTooltip());
+    });
+
+    if (this.availabilitySummary && target && target.stats) {
+      // Time-weighted from the state machine, same as the 90d tile below
+      const uptime = target.stats['90d'].uptimePercent;
+      this.availabilitySummary.textContent = uptime === null ? '' : `${uptime.toFixed(2)}% uptime`;
+    } else if (this.availabilitySummary) {
+      const totals = days.reduce((sum, day) => ({
+        checks: sum.checks + day.checks,
+        up: sum.up + day.up
+      }), { checks: 0, up: 0 });
+      this.availabilitySummary.textContent = totals.checks > 0 ?
+        `${((totals.up / totals.checks) * 100).toFixed(2)}% uptime` :
+        '';
+    }
+  }
+
+  // Rolling uptime for each window, plus recovery figures over 90 days
+  renderStats() {
+    if (!this.slaStats) return;
+
+    const target = this.getTarget();
+    if (!target || !target.stats) {
+      this.slaStats.innerHTML = '';
+      return;
+    }
+
+    const stats = target.stats;
+    const longest = stats['90d'].longestOutage;
+    const tiles = [
+      ...['24h', '7d', '30d', '90d'].map(name => ({
+        label: `Uptime ${name}`,
+        value: stats[name].uptimePercent === null ? '—' : `${stats[name].uptimePercent.toFixed(2)}%`
+      })),
+      {
+        label: 'Mean time to recover',
+        value: StatusEngine.formatDuration(stats['90d'].mttrSeconds)
+      },
+      {
+        label: 'Mean time between failures',
+        value: StatusEngine.formatDuration(stats['90d'].mtbfSeconds)
+      },
+      {
+        label: 'Longest outage',
+        value: longest ? StatusEngine.formatDuration(longest.duration) : 'None',
+        title: longest ? `Started ${this.formatTooltipTime(longest.startTime)}` : ''
+      }
+    ];
+
+    this.slaStats.innerHTML = tiles.map(tile => `
+      <div class="sla-stat" ${tile.title ? `title="${escapeHtml(tile.title)}"` : ''}>
+        <dt>${tile.label}</dt>
+        <dd>${tile.value}</dd>
+      </div>
+    `).join('');
+  }
+
+  getUptimeClass(uptime) {
+    if (uptime === null) return 'no-data';
+    if (uptime >= 99.9) return 'uptime-full';
+    if (uptime >= 99) return 'uptime-high';
+    if (uptime >= 95) return 'uptime-partial';
+    return 'uptime-low';
+  }
+
+  showTooltip(event, html) {
+    if (!this.tooltip) return;
+    this.tooltip.innerHTML = html;
+    this.tooltip.hidden = false;
+
+    // Keep the tooltip on screen near the right-hand edge
+    const offset = 12;
+    const maxLeft = window.innerWidth - this.tooltip.offsetWidth - offset;
+    this.tooltip.style.left = `${Math.min(event.clientX + offset, maxLeft)}px`;
+    this.tooltip.style.top = `${event.clientY + offset}px`;
+  }
+
+  hideTooltip() {
+    if (this.tooltip) {
+      this.tooltip.hidden = true;
+    }
+  }
+
+  formatAxisTime(time) {
+    return new Date(time).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+  }
+
+  formatTooltipTime(time) {
+    return new Date(time).toLocaleString('en-GB', {
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  formatDay(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      timeZone: 'UTC'
+    });
+  }
+}
+
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
   new ThemeManager();
   new CSCTStatus();
+  new StatusCharts();
   
   // Credits button functionality
   const creditsBtn = document.getElementById('credits-btn');
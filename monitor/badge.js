@@ -0,0 +1,85 @@
+// shields.io-style status badge (badge.svg), rewritten after every run:
+//
+//   [ csct | online 99.2% ]
+//
+// The message is the overall status plus the lifetime uptime of the primary
+// (first) target, the same figure as the page footer. Embed it with
+//   <img src="https://is-csct.online/badge.svg" alt="CSCT Cloud status">
+
+const path = require('path');
+const { availabilityPercent } = require('../status-engine');
+const { escapeXml, writeFileAtomic } = require('./util');
+
+const BADGE_FILE = path.join(__dirname, '..', 'badge.svg');
+const LABEL = 'csct';
+
+// Overall status -> [message, colour] (shields.io palette)
+const BADGE_STYLES = {
+  online: ['online', '#4c1'],
+  warning: ['online', '#4c1'],
+  degraded: ['degraded', '#dfb317'],
+  partial: ['partial outage', '#fe7d37'],
+  offline: ['offline', '#e05d44'],
+  maintenance: ['maintenance', '#007ec6'],
+  unknown: ['unknown', '#9f9f9f']
+};
+
+// Rough Verdana 11px advance widths; close enough to size the two halves
+function textWidth(text) {
+  return Array.from(text).reduce((width, char) => {
+    if (/[ilIj.,:;|!'()[\]]/.test(char)) return width + 3.5;
+    if (/[mwMW%]/.test(char)) return width + 10.5;
+    if (/[A-Z0-9]/.test(char)) return width + 7;
+    return width + 6.2;
+  }, 0);
+}
+
+function renderBadge(label, message, color) {
+  const labelWidth = Math.round(textWidth(label) + 10);
+  const messageWidth = Math.round(textWidth(message) + 10);
+  const width = labelWidth + messageWidth;
+  const title = escapeXml(`${label}: ${message}`);
+  const text = (value, x) => [
+    `    <text x="${x}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(value)}</text>`,
+    `    <text x="${x}" y="14">${escapeXml(value)}</text>`
+  ].join('\n');
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">`,
+    `  <title>${title}</title>`,
+    '  <linearGradient id="s" x2="0" y2="100%">',
+    '    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>',
+    '    <stop offset="1" stop-opacity=".1"/>',
+    '  </linearGradient>',
+    '  <clipPath id="r">',
+    `    <rect width="${width}" height="20" rx="3" fill="#fff"/>`,
+    '  </clipPath>',
+    '  <g clip-path="url(#r)">',
+    `    <rect width="${labelWidth}" height="20" fill="#555"/>`,
+    `    <rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/>`,
+    `    <rect width="${width}" height="20" fill="url(#s)"/>`,
+    '  </g>',
+    '  <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">',
+    text(label, labelWidth / 2),
+    text(message, labelWidth + messageWidth / 2),
+    '  </g>',
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+function statusBadge(status) {
+  const [message, color] = BADGE_STYLES[status.overallStatus] || BADGE_STYLES.unknown;
+  const primary = Object.values(status.targets || {})[0];
+  const uptime = primary ? availabilityPercent(primary) : null;
+  return renderBadge(LABEL, uptime === null ? message : `${message} ${uptime.toFixed(1)}%`, color);
+}
+
+function writeBadge(status) {
+  writeFileAtomic(BADGE_FILE, statusBadge(status));
+}
+
+module.exports = {
+  renderBadge,
+  writeBadge
+};
@@ -0,0 +1,212 @@
+// Network-path diagnostics for failed checks
+//
+// A failed probe on its own only says "couldn't connect". When one fails we
+// look a little further so the page can tell "CSCT is down" apart from "the
+// monitor's network is down":
+//
+//   dns      does the host name still resolve, and how long does it take
+//   tcp      a plain TCP connect to the target's port, timed
+//   https    a request to port 443 on the same host (is the machine up at all?)
+//   control  a TCP connect to a well-known host outside the university
+//            ("diagnostics.control" in targets.json, default 1.1.1.1:443)
+//
+// The failure is classified as dns, refused, timeout, reset, unreachable,
+// tls, http, protocol or unknown and stored, with a plain-language summary,
+// as the target's "diagnosis" in status.json. The control check is made at
+// most once per run however many targets fail.
+
+const dns = require('dns');
+const net = require('net');
+const https = require('https');
+
+const DEFAULT_CONTROL = { host: '1.1.1.1', port: 443 };
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// Node error codes -> failure kind
+const ERROR_KINDS = {
+  ENOTFOUND: 'dns',
+  EAI_AGAIN: 'dns',
+  EAI_FAIL: 'dns',
+  ESERVFAIL: 'dns',
+  ECONNREFUSED: 'refused',
+  ETIMEDOUT: 'timeout',
+  ECONNRESET: 'reset',
+  EPIPE: 'reset',
+  ECONNABORTED: 'reset',
+  EHOSTUNREACH: 'unreachable',
+  ENETUNREACH: 'unreachable',
+  EHOSTDOWN: 'unreachable',
+  ENETDOWN: 'unreachable',
+  EHTTP: 'http',
+  EPROTO: 'tls',
+  EPROTOCOL: 'protocol'
+};
+
+function classifyError(code, message = '') {
+  if (code && ERROR_KINDS[code]) return ERROR_KINDS[code];
+  // Certificate problems come through with a variety of codes
+  if (code && /CERT|SSL|TLS/.test(code)) return 'tls';
+  if (/timed? ?out/i.test(message)) return 'timeout';
+  return 'unknown';
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error('timeout');
+      err.code = 'ETIMEDOUT';
+      reject(err);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkDns(host, timeoutMs) {
+  const startTime = Date.now();
+  if (net.isIP(host)) {
+    return { ok: true, ms: 0, addresses: [host] };
+  }
+  try {
+    const addresses = await withTimeout(dns.promises.lookup(host, { all: true }), timeoutMs);
+    return { ok: true, ms: Date.now() - startTime, addresses: addresses.map((item) => item.address) };
+  } catch (err) {
+    return { ok: false, ms: Date.now() - startTime, code: err.code || null, error: err.message };
+  }
+}
+
+function checkTcp(host, port, timeoutMs) {
+  return new Promise((resolve) => {
+    const socket = new net.Socket();
+    const startTime = Date.now();
+    const finish = (result) => {
+      socket.destroy();
+      resolve({ ms: Date.now() - startTime, ...result });
+    };
+
+    socket.setTimeout(timeoutMs);
+    socket.on('connect', () => finish({ ok: true }));
+    socket.on('timeout', () => finish({ ok: false, code: 'ETIMEDOUT', error: 'timeout' }));
+    socket.on('error', (err) => finish({ ok: false, code: err.code || null, error: err.message }));
+    socket.connect(port, host);
+  });
+}
+
+// Any answer, even an error page, shows the machine is up
+function checkHttpsPort(host, timeoutMs) {
+  return new Promise((resolve) => {
+    const startTime = Date.now();
+    let settled = false;
+    const finish = (result) => {
+      if (!settled) {
+        settled = true;
+        resolve({ ms: Date.now() - startTime, ...result });
+      }
+    };
+
+    const req = https.request({ host, port: 443, path: '/', method: 'HEAD', timeout: timeoutMs }, (res) => {
+      res.resume();
+      finish({ ok: true, statusCode: res.statusCode });
+      req.destroy();
+    });
+    req.on('timeout', () => {
+      req.destroy();
+      finish({ ok: false, code: 'ETIMEDOUT', error: 'timeout' });
+    });
+    req.on('error', (err) => finish({ ok: false, code: err.code || null, error: err.message }));
+    req.end();
+  });
+}
+
+const seconds = (ms) => `${Math.round(ms / 1000)}s`;
+
+function describeKind(kind, target, result) {
+  const endpoint = `${target.host}:${target.port}`;
+  switch (kind) {
+    case 'dns':
+      return `The name ${target.host} could not be looked up (DNS failure). ` +
+        'The server may be running, but nothing can find it by name.';
+    case 'refused':
+      return `${target.host} answered but refused the connection on port ${target.port}, ` +
+        'so the machine is up but the service on it is not running.';
+    case 'timeout':
+      return `${endpoint} did not respond within ${seconds(target.timeoutMs || DEFAULT_TIMEOUT_MS)}. ` +
+        'The server is down or overloaded, or a firewall is dropping traffic.';
+    case 'reset':
+      return `The connection to ${endpoint} was opened and then cut off. ` +
+        'The service is running but is overloaded or restarting.';
+    case 'unreachable':
+      return `There is no network route to ${target.host}; the server or the network in front of it is offline.`;
+    case 'tls':
+      return `The secure connection to ${endpoint} failed (certificate or TLS error).`;
+    case 'http':
+      return `The web server at ${target.host} is up but answered with an error (${result.error}).`;
+    case 'protocol':
+      return `${endpoint} accepted the connection but did not respond as expected (${result.error}).`;
+    default:
+      return `The check of ${endpoint} failed${result.error ? ` (${result.error})` : ''}.`;
+  }
+}
+
+function summarize(kind, target, result, checks) {
+  const sentences = [describeKind(kind, target, result)];
+  const name = target.name || target.host;
+
+  // The web server on the same machine still answering shows it isn't off
+  if (checks.https && checks.https.ok && target.port !== 443 && kind !== 'dns') {
+    sentences.push(`The web server on ${target.host} is still answering, so the machine itself is up.`);
+  }
+
+  if (checks.control && checks.control.ok) {
+    sentences.push(`The monitor's own connection is fine, so the problem is on ${name}'s side.`);
+  } else if (checks.control) {
+    sentences.push(`The monitor could not reach the wider internet either, so the problem may be on the monitor's side rather than with ${name}.`);
+  }
+  return sentences.join(' ');
+}
+
+// Returns diagnose(target, result) for one run. config is the "diagnostics"
+// object from targets.json.
+function createDiagnoser(config = {}) {
+  const control = { ...DEFAULT_CONTROL, ...config.control };
+  const timeoutMs = config.timeoutMs || DEFAULT_TIMEOUT_MS;
+  let controlCheck = null;
+
+  const checkControl = () => {
+    if (!controlCheck) {
+      controlCheck = checkTcp(control.host, control.port, timeoutMs)
+        .then((result) => ({ ...result, host: `${control.host}:${control.port}` }));
+    }
+    return controlCheck;
+  };
+
+  return async function diagnose(target, result, now = new Date()) {
+    const [dnsCheck, tcp, httpsCheck, controlResult] = await Promise.all([
+      checkDns(target.host, timeoutMs),
+      checkTcp(target.host, target.port, timeoutMs),
+      target.type === 'https' && target.port === 443 ? null : checkHttpsPort(target.host, timeoutMs),
+      checkControl()
+    ]);
+    const checks = { dns: dnsCheck, tcp, https: httpsCheck, control: controlResult };
+
+    // The probe's own error first; the extra checks fill in when it gave no
+    // code (e.g. an SSH banner timeout after the connect succeeded)
+    let kind = dnsCheck.ok ? classifyError(result.code, result.error) : 'dns';
+    if (kind === 'unknown' && !tcp.ok) {
+      kind = classifyError(tcp.code, tcp.error);
+    }
+
+    return {
+      kind,
+      summary: summarize(kind, target, result, checks),
+      monitorNetworkOk: controlResult.ok,
+      checks,
+      at: now.toISOString()
+    };
+  };
+}
+
+module.exports = {
+  classifyError,
+  createDiagnoser
+};
@@ -0,0 +1,239 @@
+// Static subscription feeds, rewritten by ping_csct.js after every run so
+// they work on GitHub Pages with no server:
+//
+//   feed.xml      Atom feed: each target going down / slow and recovering,
+//                 plus every update posted to incidents.json
+//   rss.xml       the same entries as RSS 2.0
+//   calendar.ics  iCalendar: maintenance windows (maintenance.json) and
+//                 recorded outages
+//
+// Entries are rebuilt from status.json each time rather than kept in a log,
+// so they cover the outages status.json still holds (the last ten per
+// target). Entry ids depend only on the target and the time the state
+// started, so readers don't show the same transition twice.
+
+const path = require('path');
+const { formatDuration } = require('../status-engine');
+const { SITE_URL, escapeXml, writeFileAtomic } = require('./util');
+
+const FEED_TITLE = 'CSCT Cloud status';
+
+const ROOT_DIR = path.join(__dirname, '..');
+const ATOM_FILE = path.join(ROOT_DIR, 'feed.xml');
+const RSS_FILE = path.join(ROOT_DIR, 'rss.xml');
+const CALENDAR_FILE = path.join(ROOT_DIR, 'calendar.ics');
+
+const MAX_ENTRIES = 50;
+
+// A start and an end entry for each outage / slow period in status.json,
+// and a start entry for one still going
+function transitionEntries(status) {
+  const entries = [];
+
+  Object.entries(status.targets || {}).forEach(([id, target]) => {
+    const name = target.name || id;
+    const periods = [
+      ...(target.downtimeIncidents || []).map((period) => ({ ...period, kind: 'down' })),
+      ...(target.degradedIncidents || []).map((period) => ({ ...period, kind: 'slow' }))
+    ];
+    if ((target.lastStatus === 'offline' || target.lastStatus === 'degraded') && target.lastStatusChange) {
+      periods.push({
+        kind: target.lastStatus === 'offline' ? 'down' : 'slow',
+        startTime: target.lastStatusChange,
+        endTime: null
+      });
+    }
+
+    periods.forEach((period) => {
+      entries.push({
+        id: `${period.kind}/${id}/${period.startTime}`,
+        title: period.kind === 'down' ? `${name} is down` : `${name} is responding slowly`,
+        summary: period.kind === 'down'
+          ? `${name} stopped responding${!period.endTime && target.error ? ` (${target.error})` : ''}.`
+          : `${name} started responding slowly.`,
+        updated: period.startTime
+      });
+      if (period.endTime) {
+        entries.push({
+          id: `${period.kind === 'down' ? 'recovered' : 'normal'}/${id}/${period.startTime}`,
+          title: period.kind === 'down' ? `${name} recovered` : `${name} is back to normal speed`,
+          summary: period.kind === 'down'
+            ? `${name} was down for ${formatDuration(period.duration)}.`
+            : `${name} was slow for ${formatDuration(period.duration)}` +
+              (period.peakLatency ? ` (peak ${period.peakLatency}ms).` : '.'),
+          updated: period.endTime
+        });
+      }
+    });
+  });
+
+  return entries;
+}
+
+// One entry per timeline update in incidents.json
+function incidentEntries(incidents) {
+  return incidents.flatMap((incident) => incident.updates.map((update, index) => ({
+    id: `incident/${incident.id}/${index}`,
+    title: `${incident.title} (${update.status})`,
+    summary: update.message || `Incident is now ${update.status}.`,
+    updated: update.at
+  })));
+}
+
+// Newest first, capped at MAX_ENTRIES
+function buildFeedEntries(status, incidents = []) {
+  return [...transitionEntries(status), ...incidentEntries(incidents)]
+    .filter((entry) => entry.updated)
+    .sort((a, b) => new Date(b.updated) - new Date(a.updated))
+    .slice(0, MAX_ENTRIES);
+}
+
+const entryId = (entry) => `${SITE_URL}#${entry.id}`;
+
+function toAtom(entries, now) {
+  const updated = entries.length > 0 ? new Date(entries[0].updated) : now;
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${FEED_TITLE}</title>`,
+    `  <link href="${SITE_URL}"/>`,
+    `  <link rel="self" href="${SITE_URL}feed.xml"/>`,
+    `  <id>${SITE_URL}</id>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    ...entries.map((entry) => [
+      '  <entry>',
+      `    <title>${escapeXml(entry.title)}</title>`,
+      `    <link href="${SITE_URL}"/>`,
+      `    <id>${escapeXml(entryId(entry))}</id>`,
+      `    <updated>${new Date(entry.updated).toISOString()}</updated>`,
+      `    <summary>${escapeXml(entry.summary)}</summary>`,
+      '  </entry>'
+    ].join('\n')),
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+function toRss(entries, now) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0">',
+    '  <channel>',
+    `    <title>${FEED_TITLE}</title>`,
+    `    <link>${SITE_URL}</link>`,
+    '    <description>Outages, slow periods and incident updates for CSCT Cloud services</description>',
+    `    <lastBuildDate>${now.toUTCString()}</lastBuildDate>`,
+    ...entries.map((entry) => [
+      '    <item>',
+      `      <title>${escapeXml(entry.title)}</title>`,
+      `      <link>${SITE_URL}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(entryId(entry))}</guid>`,
+      `      <pubDate>${new Date(entry.updated).toUTCString()}</pubDate>`,
+      `      <description>${escapeXml(entry.summary)}</description>`,
+      '    </item>'
+    ].join('\n')),
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+// 2025-12-13T08:00:00.000Z -> 20251213T080000Z
+const icsTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+function escapeIcs(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines longer than 75 octets are folded onto continuation lines
+// that start with a space (RFC 5545 section 3.1)
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function calendarEvents(status, maintenanceWindows) {
+  const targetName = (id) => (status.targets && status.targets[id] && status.targets[id].name) || id;
+  const events = maintenanceWindows.map((window) => ({
+    uid: `maintenance-${window.id}`,
+    start: window.start,
+    end: window.end,
+    summary: `Maintenance: ${window.description || 'planned maintenance'}`,
+    description: window.targets.length > 0
+      ? `Affects ${window.targets.map(targetName).join(', ')}`
+      : 'Affects every monitored service'
+  }));
+
+  Object.entries(status.targets || {}).forEach(([id, target]) => {
+    const outages = [...(target.downtimeIncidents || [])];
+    if (target.lastStatus === 'offline' && target.lastStatusChange) {
+      outages.push({ startTime: target.lastStatusChange, endTime: null });
+    }
+    outages.forEach((outage) => {
+      events.push({
+        uid: `outage-${id}-${icsTime(outage.startTime)}`,
+        start: outage.startTime,
+        // An ongoing outage runs to the latest check until it's over
+        end: outage.endTime || target.lastChecked || status.lastChecked,
+        summary: `${targetName(id)} down${outage.endTime ? '' : ' (ongoing)'}`,
+        description: outage.endTime
+          ? `${targetName(id)} was unreachable for ${formatDuration(outage.duration)}`
+          : `${targetName(id)} is unreachable`
+      });
+    });
+  });
+
+  return events;
+}
+
+function toCalendar(events, now) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//is-csct.online//CSCT status//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${FEED_TITLE}`
+  ];
+  events.forEach((event) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}@is-csct.online`,
+      `DTSTAMP:${icsTime(now)}`,
+      `DTSTART:${icsTime(event.start)}`,
+      `DTEND:${icsTime(event.end)}`,
+      `SUMMARY:${escapeIcs(event.summary)}`,
+      `DESCRIPTION:${escapeIcs(event.description)}`,
+      `URL:${SITE_URL}`,
+      'END:VEVENT'
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function writeFeeds({ status, incidents = [], maintenanceWindows = [], now = new Date() }) {
+  const entries = buildFeedEntries(status, incidents);
+  writeFileAtomic(ATOM_FILE, toAtom(entries, now));
+  writeFileAtomic(RSS_FILE, toRss(entries, now));
+  writeFileAtomic(CALENDAR_FILE, toCalendar(calendarEvents(status, maintenanceWindows), now));
+}
+
+module.exports = {
+  buildFeedEntries,
+  writeFeeds
+};
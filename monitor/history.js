@@ -0,0 +1,208 @@
+// Append-only check history for ping_csct.js
+//
+// Every probe result is written as one line of JSON to history/YYYY-MM.ndjson
+// (one file per UTC month), e.g.
+//   {"t":"2025-12-02T19:30:00.000Z","id":"csct-ssh","up":true,"ms":42,"err":null}
+// Checks made during planned maintenance also carry "mnt":true.
+//
+// status.json only keeps running totals; this log keeps every data point so
+// the totals can be recomputed and charts can be drawn from it. After each run
+// the last 90 days are summarised into history.json for the status page.
+
+const fs = require('fs');
+const path = require('path');
+const { UPTIME_WINDOWS, summarizeChecks } = require('../status-engine');
+const { writeFileAtomic } = require('./util');
+
+const HISTORY_DIR = path.join(__dirname, '..', 'history');
+const CHART_FILE = path.join(__dirname, '..', 'history.json');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const RECENT_DAYS = 1; // raw points for the 24h chart
+const LATENCY_DAYS = 30; // hourly averages for the 7d / 30d charts
+const AVAILABILITY_DAYS = 90; // one bar per day
+const FILE_PATTERN = /^(\d{4})-(\d{2})\.ndjson$/;
+
+function historyFileFor(date, dir = HISTORY_DIR) {
+  const month = date.toISOString().slice(0, 7);
+  return path.join(dir, `${month}.ndjson`);
+}
+
+function toEntry(targetId, checkedAt, result, { maintenance = false } = {}) {
+  const entry = {
+    t: checkedAt.toISOString(),
+    id: targetId,
+    up: result.online,
+    ms: result.latency,
+    err: result.error || null
+  };
+  if (maintenance) {
+    entry.mnt = true;
+  }
+  return entry;
+}
+
+function appendHistory(entries, dir = HISTORY_DIR) {
+  if (entries.length === 0) return;
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Group by month so a run straddling midnight on the 1st lands correctly
+  const byFile = new Map();
+  entries.forEach((entry) => {
+    const file = historyFileFor(new Date(entry.t), dir);
+    const lines = byFile.get(file) || [];
+    lines.push(JSON.stringify(entry));
+    byFile.set(file, lines);
+  });
+
+  byFile.forEach((lines, file) => {
+    fs.appendFileSync(file, lines.join('\n') + '\n', 'utf8');
+  });
+}
+
+function listHistoryFiles(dir = HISTORY_DIR) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+  return names.filter((name) => FILE_PATTERN.test(name)).sort();
+}
+
+// Read entries (oldest first), optionally limited to [since, until)
+function readHistory({ since = null, until = null } = {}, dir = HISTORY_DIR) {
+  const sinceMonth = since ? since.toISOString().slice(0, 7) : null;
+  const untilMonth = until ? until.toISOString().slice(0, 7) : null;
+  const entries = [];
+
+  listHistoryFiles(dir).forEach((name) => {
+    const month = name.slice(0, 7);
+    if (sinceMonth && month < sinceMonth) return;
+    if (untilMonth && month > untilMonth) return;
+
+    const raw = fs.readFileSync(path.join(dir, name), 'utf8');
+    raw.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // A partially written last line shouldn't make the whole month unreadable
+        console.warn(`Skipping unreadable line ${index + 1} in history/${name}`);
+        return;
+      }
+      const time = new Date(entry.t).getTime();
+      if (Number.isNaN(time)) return;
+      if (since && time < since.getTime()) return;
+      if (until && time >= until.getTime()) return;
+      entries.push(entry);
+    });
+  });
+
+  return entries.sort((a, b) => new Date(a.t) - new Date(b.t));
+}
+
+// The page only needs the headline numbers, not every outage
+function buildWindowStats(checks, target, now, maxGapSeconds) {
+  const stats = {};
+  Object.entries(UPTIME_WINDOWS).forEach(([name, days]) => {
+    const { outages, ...summary } = summarizeChecks(checks, {
+      since: new Date(now.getTime() - days * DAY_MS),
+      until: now,
+      degraded: target.degraded,
+      confirm: target.confirm,
+      maxGapSeconds
+    });
+    stats[name] = { ...summary, outageCount: outages.length };
+  });
+  return stats;
+}
+
+// Summarise raw entries into what the status page charts need:
+//   recent:  [time, latencyMs|null] for every check in the last 24h
+//   hourly:  [hourStart, avgLatencyMs|null] for the last 30 days
+//   daily:   { date, checks, up, maintenance, uptime } for the last 90 days
+//            (UTC days); checks during maintenance are only counted in
+//            "maintenance", so a day that was all maintenance has no uptime
+//   stats:   uptime, MTTR, MTBF and longest outage for each rolling window
+//            (24h, 7d, 30d, 90d), see summarizeChecks in status-engine.js
+function buildChartData(entries, targets, now, { maxGapSeconds } = {}) {
+  const recentSince = now.getTime() - RECENT_DAYS * DAY_MS;
+  const hourlySince = now.getTime() - LATENCY_DAYS * DAY_MS;
+
+  const chartData = {
+    generatedAt: now.toISOString(),
+    targets: {}
+  };
+
+  targets.forEach((target) => {
+    const recent = [];
+    const hours = new Map();
+    const days = new Map();
+
+    entries.forEach((entry) => {
+      if (entry.id !== target.id) return;
+      const time = new Date(entry.t).getTime();
+      const latency = entry.up && typeof entry.ms === 'number' ? entry.ms : null;
+
+      if (time >= recentSince) {
+        recent.push([entry.t, latency]);
+      }
+
+      if (time >= hourlySince) {
+        const hourStart = new Date(Math.floor(time / HOUR_MS) * HOUR_MS).toISOString();
+        const hour = hours.get(hourStart) || { sum: 0, count: 0 };
+        if (latency !== null) {
+          hour.sum += latency;
+          hour.count += 1;
+        }
+        hours.set(hourStart, hour);
+      }
+
+      const date = entry.t.slice(0, 10);
+      const day = days.get(date) || { date, checks: 0, up: 0, maintenance: 0 };
+      if (entry.mnt) {
+        day.maintenance += 1;
+      } else {
+        day.checks += 1;
+        if (entry.up) day.up += 1;
+      }
+      days.set(date, day);
+    });
+
+    chartData.targets[target.id] = {
+      name: target.name,
+      recent,
+      hourly: Array.from(hours.entries()).map(([hourStart, hour]) => [
+        hourStart,
+        hour.count > 0 ? Math.round(hour.sum / hour.count) : null
+      ]),
+      daily: Array.from(days.values()).map((day) => ({
+        ...day,
+        uptime: day.checks > 0 ? Math.round((day.up / day.checks) * 10000) / 100 : null
+      })),
+      stats: buildWindowStats(entries.filter((entry) => entry.id === target.id), target, now, maxGapSeconds)
+    };
+  });
+
+  return chartData;
+}
+
+// readChecks reads entries from wherever they're stored (monitor/storage.js)
+function writeChartData(targets, now, { readChecks = readHistory, ...options } = {}) {
+  const since = new Date(now.getTime() - AVAILABILITY_DAYS * DAY_MS);
+  const chartData = buildChartData(readChecks({ since }), targets, now, options);
+  writeFileAtomic(CHART_FILE, JSON.stringify(chartData));
+}
+
+module.exports = {
+  HISTORY_DIR,
+  toEntry,
+  appendHistory,
+  readHistory,
+  buildChartData,
+  writeChartData
+};
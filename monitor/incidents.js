@@ -0,0 +1,167 @@
+// Incident log for the status page (incidents.json)
+//
+// status.json only keeps the last ten raw outages per target. incidents.json
+// is the permanent, human-readable record: each incident has a title,
+// severity, the targets it affects and a timeline of updates, e.g.
+//
+//   {
+//     "id": 3,
+//     "title": "CSCT Cloud SSH unreachable",
+//     "severity": "major",
+//     "targets": ["csct-ssh"],
+//     "status": "identified",
+//     "source": "manual",
+//     "createdAt": "2025-12-01T10:05:00.000Z",
+//     "resolvedAt": null,
+//     "updates": [
+//       { "at": "...", "status": "investigating", "message": "Looking into it" },
+//       { "at": "...", "status": "identified", "message": "Storage array failed" }
+//     ]
+//   }
+//
+// Maintainers manage incidents with `node ping_csct.js incident ...`. The
+// monitor also opens one automatically when a target goes down and
+// resolves it when the target recovers, unless a maintainer has taken it
+// over by posting their own update.
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./util');
+
+const INCIDENTS_FILE = path.join(__dirname, '..', 'incidents.json');
+
+const SEVERITIES = ['minor', 'major', 'critical'];
+const INCIDENT_STATUSES = ['investigating', 'identified', 'monitoring', 'resolved'];
+
+function loadIncidents(file = INCIDENTS_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).incidents || [];
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw new Error(`Could not read incidents.json: ${err.message}`);
+  }
+}
+
+function saveIncidents(incidents, file = INCIDENTS_FILE) {
+  writeFileAtomic(file, JSON.stringify({ incidents }, null, 2) + '\n');
+}
+
+function findIncident(incidents, id) {
+  const incident = incidents.find((item) => String(item.id) === String(id));
+  if (!incident) {
+    throw new Error(`No incident with id ${id} (see \`node ping_csct.js incident list\`)`);
+  }
+  return incident;
+}
+
+function checkStatus(status) {
+  if (!INCIDENT_STATUSES.includes(status)) {
+    throw new Error(`Status must be one of ${INCIDENT_STATUSES.join(', ')}`);
+  }
+}
+
+function addIncident(incidents, {
+  title,
+  severity = 'major',
+  targets = [],
+  status = 'investigating',
+  message = null,
+  source = 'manual',
+  at = new Date()
+}) {
+  if (typeof title !== 'string' || !title.trim()) {
+    throw new Error('An incident needs a --title');
+  }
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+  checkStatus(status);
+
+  const incident = {
+    id: incidents.reduce((max, item) => Math.max(max, item.id), 0) + 1,
+    title,
+    severity,
+    targets,
+    status,
+    source,
+    createdAt: at.toISOString(),
+    resolvedAt: status === 'resolved' ? at.toISOString() : null,
+    updates: [{ at: at.toISOString(), status, message }]
+  };
+  incidents.push(incident);
+  return incident;
+}
+
+// Post a timeline update. Without a status it is a note and the incident
+// keeps its current status.
+function updateIncident(incidents, id, { status = null, message = null, at = new Date(), source = 'manual' }) {
+  const incident = findIncident(incidents, id);
+  if (!status && !message) {
+    throw new Error('An update needs a --status, a --message or both');
+  }
+  if (status) checkStatus(status);
+
+  const nextStatus = status || incident.status;
+  incident.updates.push({ at: at.toISOString(), status: nextStatus, message });
+  incident.status = nextStatus;
+  incident.resolvedAt = nextStatus === 'resolved' ? (incident.resolvedAt || at.toISOString()) : null;
+  // A maintainer posting on an automatic incident takes it over
+  if (source === 'manual') {
+    incident.source = 'manual';
+  }
+  return incident;
+}
+
+function resolveIncident(incidents, id, { message = null, at = new Date() } = {}) {
+  return updateIncident(incidents, id, { status: 'resolved', message, at });
+}
+
+const isOpen = (incident) => incident.status !== 'resolved';
+
+// Open or close incidents for the monitor's own down/recovered events (see
+// detectEvents in monitor/notifier.js). Returns true if anything changed.
+function applyMonitorEvents(incidents, events) {
+  let changed = false;
+
+  events.forEach((event) => {
+    const open = incidents.filter((incident) => isOpen(incident) && incident.targets.includes(event.targetId));
+    const at = new Date(event.at || Date.now());
+
+    if (event.type === 'down' && open.length === 0) {
+      addIncident(incidents, {
+        title: `${event.name} is down`,
+        severity: 'major',
+        targets: [event.targetId],
+        message: `Automatic: ${event.name} stopped responding${event.error ? ` (${event.error})` : ''}.`,
+        source: 'monitor',
+        at
+      });
+      changed = true;
+    } else if (event.type === 'recovered' && event.from === 'offline') {
+      open.forEach((incident) => {
+        const message = `Automatic: ${event.name} is responding again.`;
+        if (incident.source === 'monitor' && incident.targets.length === 1) {
+          updateIncident(incidents, incident.id, { status: 'resolved', message, at, source: 'monitor' });
+        } else {
+          // A maintainer is handling this one; leave resolving to them
+          updateIncident(incidents, incident.id, { message, at, source: 'monitor' });
+        }
+        changed = true;
+      });
+    }
+  });
+
+  return changed;
+}
+
+module.exports = {
+  INCIDENTS_FILE,
+  SEVERITIES,
+  INCIDENT_STATUSES,
+  loadIncidents,
+  saveIncidents,
+  addIncident,
+  updateIncident,
+  resolveIncident,
+  applyMonitorEvents
+};
@@ -0,0 +1,86 @@
+// Lock file so two check runs never overlap
+//
+// The daemon, the API's "Re-check now" and a leftover cron job can all call
+// runChecks(); if two ran at once they would both read the same status.json
+// and one would overwrite the other's counters. The lock file holds the PID
+// of the process running checks. A lock whose process has died (crash,
+// kill -9, reboot), or that was written more than STALE_AFTER_MS ago, is
+// stale and taken over.
+
+const fs = require('fs');
+
+// No run takes anywhere near this long, so an older lock is stale even if
+// its PID has since been reused by an unrelated process
+const STALE_AFTER_MS = 10 * 60 * 1000;
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: it exists but belongs to another user
+    return err.code === 'EPERM';
+  }
+}
+
+function readLock(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+// A lock that can't be read yet (its holder is still writing it, or was cut
+// short) names no process to check, so only its age can make it stale
+function isStale(lock, ageMs) {
+  if (ageMs > STALE_AFTER_MS) return true;
+  return Boolean(lock) && Number.isInteger(lock.pid) && !isProcessAlive(lock.pid);
+}
+
+// How long ago the lock file was written, null once it has gone
+function lockAge(file, now) {
+  try {
+    return now - fs.statSync(file).mtimeMs;
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// Returns a release function, or null when another live process holds it
+function acquireLock(file, now = Date.now()) {
+  const contents = JSON.stringify({ pid: process.pid, startedAt: new Date(now).toISOString() });
+
+  try {
+    fs.writeFileSync(file, contents, { flag: 'wx' });
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+
+    const holder = readLock(file);
+    const ageMs = lockAge(file, now);
+    if (ageMs === null) {
+      // Released while we looked
+      return acquireLock(file, now);
+    }
+    if (!isStale(holder, ageMs)) {
+      return null;
+    }
+    console.warn(`Removing stale lock left by pid ${holder ? holder.pid : '?'}`);
+    fs.rmSync(file, { force: true });
+    // Another process may take over at the same moment; only one wins 'wx'
+    return acquireLock(file, now);
+  }
+
+  return () => {
+    const current = readLock(file);
+    if (current && current.pid === process.pid) {
+      fs.rmSync(file, { force: true });
+    }
+  };
+}
+
+module.exports = {
+  acquireLock,
+  readLock
+};
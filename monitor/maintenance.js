@@ -0,0 +1,51 @@
+// Planned maintenance windows (maintenance.json)
+//
+//   {
+//     "windows": [
+//       {
+//         "id": "2025-12-13-storage",
+//         "start": "2025-12-13T08:00:00Z",
+//         "end": "2025-12-13T12:00:00Z",
+//         "description": "Storage upgrade on CSCT Cloud",
+//         "targets": ["csct-ssh", "csct-https"]
+//       }
+//     ]
+//   }
+//
+// Leave "targets" out to cover every target. While a window is active its
+// targets are reported as 'maintenance': the time is kept out of uptime and
+// no down/recovered notifications are sent. The page shows active windows
+// and those starting within a week.
+
+const fs = require('fs');
+const path = require('path');
+
+const MAINTENANCE_FILE = path.join(__dirname, '..', 'maintenance.json');
+
+function loadMaintenance(file = MAINTENANCE_FILE) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw new Error(`Could not read maintenance.json: ${err.message}`);
+  }
+
+  return (config.windows || []).map((window, index) => {
+    const start = new Date(window.start);
+    const end = new Date(window.end);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+      throw new Error(`Maintenance window ${window.id || index + 1} needs a start before its end`);
+    }
+    return {
+      ...window,
+      id: window.id || `${window.start}`,
+      targets: window.targets || []
+    };
+  });
+}
+
+module.exports = {
+  MAINTENANCE_FILE,
+  loadMaintenance
+};
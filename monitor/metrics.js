@@ -0,0 +1,168 @@
+// Prometheus metrics for the probe results
+//
+// Served as GET /metrics by `serve` and `--daemon --serve`
+// (monitor/server.js), and written after every run to the file named by
+// "metrics.textfile" in targets.json for node_exporter's textfile collector
+// when checks run one-shot from cron. Both are built from status.json plus
+// .metrics-state.json, which holds the latency histogram and check counters
+// (cumulative, so they survive restarts and work across cron runs).
+//
+//   csct_up                           1 if reachable (online or slow), per target
+//   csct_target_status                1 for the target's current state
+//   csct_overall_status               1 for the page's overall state
+//   csct_probe_success                result of the latest check
+//   csct_probe_latency_seconds        latency of the latest check
+//   csct_probe_duration_seconds       histogram of every successful check
+//   csct_checks_total                 checks by result
+//   csct_outages_total                outages recorded
+//   csct_current_streak_seconds       time in the current state
+//   csct_last_check_age_seconds       time since the target was last checked
+//   csct_state_seconds_total          time spent in each state
+//   csct_availability_ratio           lifetime availability (0-1)
+
+const path = require('path');
+const {
+  TARGET_STATES,
+  OVERALL_STATES,
+  TOTAL_FIELDS,
+  availabilityPercent,
+  currentStreakSeconds
+} = require('../status-engine');
+const { readJson, writeJsonAtomic } = require('./util');
+
+const STATE_FILE = path.join(__dirname, '..', '.metrics-state.json');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Histogram bucket upper bounds, in seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function loadMetricsState(file = STATE_FILE) {
+  return readJson(file, { targets: {} });
+}
+
+// Add one run's checks (history log entries) to the histogram and counters
+function recordChecks(entries, file = STATE_FILE) {
+  const state = loadMetricsState(file);
+
+  entries.forEach((entry) => {
+    const target = state.targets[entry.id] || (state.targets[entry.id] = {
+      buckets: LATENCY_BUCKETS.map(() => 0),
+      count: 0,
+      sum: 0,
+      success: 0,
+      failure: 0
+    });
+
+    if (!entry.up) {
+      target.failure += 1;
+      return;
+    }
+    target.success += 1;
+    if (typeof entry.ms === 'number') {
+      const seconds = entry.ms / 1000;
+      LATENCY_BUCKETS.forEach((bound, index) => {
+        if (seconds <= bound) target.buckets[index] += 1;
+      });
+      target.count += 1;
+      target.sum += seconds;
+    }
+  });
+
+  writeJsonAtomic(file, state);
+  return state;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labels(values) {
+  const pairs = Object.entries(values).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// One metric family: # HELP, # TYPE and a line per [labels, value] sample
+function family(name, type, help, samples) {
+  if (samples.length === 0) return [];
+  return [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...samples.map(([sampleLabels, value, suffix = '']) => `${name}${suffix}${labels(sampleLabels)} ${value}`)
+  ];
+}
+
+function formatMetrics(status, state = { targets: {} }, { now = new Date(), maxGapSeconds } = {}) {
+  const targets = Object.entries(status.targets || {});
+  const targetLabels = (id, target) => ({ target: id, name: target.name || id });
+  const perTarget = (valueOf) => targets
+    .map(([id, target]) => [targetLabels(id, target), valueOf(target, id)])
+    .filter(([, value]) => value !== null && value !== undefined);
+  const checked = targets.filter(([, target]) => target.lastChecked);
+
+  const histogram = targets.flatMap(([id, target]) => {
+    const counts = state.targets[id];
+    if (!counts) return [];
+    const base = targetLabels(id, target);
+    return [
+      ...LATENCY_BUCKETS.map((bound, index) => [{ ...base, le: bound }, counts.buckets[index], '_bucket']),
+      [{ ...base, le: '+Inf' }, counts.count, '_bucket'],
+      [base, counts.sum, '_sum'],
+      [base, counts.count, '_count']
+    ];
+  });
+
+  const lines = [
+    ...family('csct_up', 'gauge', 'Whether the target is reachable (online or slow).',
+      perTarget((target) => (target.lastStatus === 'unknown' ? null :
+        Number(target.lastStatus === 'online' || target.lastStatus === 'degraded')))),
+    ...family('csct_target_status', 'gauge', 'Current state of the target.',
+      targets.flatMap(([id, target]) => TARGET_STATES.map((state) => (
+        [{ ...targetLabels(id, target), status: state }, Number((target.lastStatus || 'unknown') === state)]
+      )))),
+    ...family('csct_overall_status', 'gauge', 'Overall state shown on the status page.',
+      OVERALL_STATES.map((state) => [{ status: state }, Number((status.overallStatus || 'unknown') === state)])),
+    ...family('csct_probe_success', 'gauge', 'Whether the latest check succeeded.',
+      perTarget((target) => (target.portTest ? Number(target.portTest.succeeded) : null))),
+    ...family('csct_probe_latency_seconds', 'gauge', 'Latency of the latest successful check.',
+      perTarget((target) => (typeof target.latency === 'number' ? target.latency / 1000 : null))),
+    ...family('csct_probe_duration_seconds', 'histogram', 'Latency of successful checks.', histogram),
+    ...family('csct_checks_total', 'counter', 'Checks made, by result.',
+      targets.flatMap(([id, target]) => {
+        const counts = state.targets[id];
+        if (!counts) return [];
+        return [
+          [{ ...targetLabels(id, target), result: 'success' }, counts.success],
+          [{ ...targetLabels(id, target), result: 'failure' }, counts.failure]
+        ];
+      })),
+    ...family('csct_outages_total', 'counter', 'Outages recorded for the target.',
+      perTarget((target) => target.totalOutages || 0)),
+    ...family('csct_current_streak_seconds', 'gauge', 'How long the target has been in its current state.',
+      checked.map(([id, target]) => [targetLabels(id, target), currentStreakSeconds(target, now, maxGapSeconds)])),
+    ...family('csct_last_check_age_seconds', 'gauge', 'Seconds since the target was last checked.',
+      checked.map(([id, target]) => [
+        targetLabels(id, target),
+        Math.max(0, (now.getTime() - new Date(target.lastChecked).getTime()) / 1000)
+      ])),
+    ...family('csct_state_seconds_total', 'counter', 'Time the target has spent in each state.',
+      targets.flatMap(([id, target]) => [
+        ...Object.entries(TOTAL_FIELDS).map(([state, field]) => [{ ...targetLabels(id, target), status: state }, target[field] || 0]),
+        [{ ...targetLabels(id, target), status: 'unknown' }, target.totalUnknownSeconds || 0]
+      ])),
+    ...family('csct_availability_ratio', 'gauge', 'Lifetime availability, excluding maintenance and monitoring gaps.',
+      perTarget((target) => {
+        const percent = availabilityPercent(target);
+        return percent === null ? null : percent / 100;
+      }))
+  ];
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  loadMetricsState,
+  recordChecks,
+  formatMetrics
+};
@@ -0,0 +1,288 @@
+// Outage notifications for ping_csct.js
+//
+// After each run the previous and new status.json are compared and every
+// confirmed transition becomes an event:
+//   down       any status -> offline
+//   degraded   online -> degraded
+//   recovered  offline/degraded -> online (or offline -> degraded)
+// Moves into planned maintenance are never events (see monitor/maintenance.js).
+//
+// Channels are configured in notifiers.json (kept out of git because it
+// holds webhook URLs and SMTP passwords; see notifiers.example.json):
+//   webhook  POST a Discord/Slack-compatible JSON body to a URL
+//   email    send a plain-text mail through an SMTP relay (monitor/smtp.js)
+//   webpush  wake subscribed browsers via Web Push (monitor/webpush.js)
+//
+// Each channel has a cooldown (per target and event type) so a flapping
+// service can't flood a Discord channel or inbox.
+
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { formatDuration } = require('../status-engine');
+const { SITE_URL, readJson, writeJsonAtomic } = require('./util');
+const { sendMail } = require('./smtp');
+const { sendPush } = require('./webpush');
+const { subscriptionsFileFor, isPushEndpoint, loadSubscriptions, removeSubscription } = require('./subscriptions');
+
+const NOTIFIERS_FILE = path.join(__dirname, '..', 'notifiers.json');
+const STATE_FILE = path.join(__dirname, '..', '.notifier-state.json');
+
+const EVENT_TYPES = ['down', 'degraded', 'recovered'];
+const DEFAULT_COOLDOWN_MINUTES = 30;
+
+// Discord embed colours for each event
+const EVENT_COLOURS = { down: 0xef4444, degraded: 0xf59e0b, recovered: 0x10b981, test: 0x007aff };
+
+// Returns null when notifications aren't set up on this machine
+function loadNotifierConfig(file = NOTIFIERS_FILE) {
+  const config = readJson(file, null);
+  if (!config) return null;
+
+  const defaultCooldown = config.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES;
+  const channels = (config.channels || []).map((channel, index) => {
+    if (!['webhook', 'email', 'webpush'].includes(channel.type)) {
+      throw new Error(`Unknown notifier type '${channel.type}' in notifiers.json`);
+    }
+    return {
+      ...channel,
+      id: channel.id || `${channel.type}-${index + 1}`,
+      events: channel.events || EVENT_TYPES,
+      cooldownMinutes: channel.cooldownMinutes ?? defaultCooldown
+    };
+  });
+
+  return { ...config, channels };
+}
+
+function classifyTransition(from, to) {
+  if (to === 'offline') return 'down';
+  if (from === 'online' && to === 'degraded') return 'degraded';
+  if ((from === 'offline' || from === 'degraded') && (to === 'online' || to === 'degraded')) {
+    return 'recovered';
+  }
+  return null;
+}
+
+// Compare two status.json snapshots and list the confirmed transitions.
+// The first ever check of a target (from 'unknown') isn't an event.
+function detectEvents(prevStatus, nextStatus) {
+  const events = [];
+
+  Object.entries(nextStatus.targets).forEach(([targetId, next]) => {
+    const prev = prevStatus.targets[targetId];
+    if (!prev || prev.lastStatus === next.lastStatus) return;
+    // Coming out of maintenance still down is a real outage; anything
+    // going into maintenance is planned and stays quiet
+    if (!['online', 'offline', 'degraded', 'maintenance'].includes(prev.lastStatus)) return;
+
+    const type = classifyTransition(prev.lastStatus, next.lastStatus);
+    if (!type) return;
+
+    events.push({
+      type,
+      targetId,
+      name: next.name || targetId,
+      host: next.host,
+      port: next.port,
+      from: prev.lastStatus,
+      to: next.lastStatus,
+      at: next.lastStatusChange,
+      latency: next.latency,
+      error: next.error || null,
+      // How long the previous state lasted, e.g. the outage that just ended
+      previousDurationSeconds: prev.lastStatusChange
+        ? Math.max(0, Math.round((new Date(next.lastStatusChange) - new Date(prev.lastStatusChange)) / 1000))
+        : null
+    });
+  });
+
+  return events;
+}
+
+function describeEvent(event) {
+  const where = event.host ? ` (${event.host}:${event.port})` : '';
+  let title;
+  let detail;
+
+  switch (event.type) {
+    case 'down':
+      title = `${event.name} is DOWN`;
+      detail = `${event.name}${where} stopped responding` +
+        (event.error ? `: ${event.error}` : '') + '.';
+      break;
+    case 'degraded':
+      title = `${event.name} is responding slowly`;
+      detail = `${event.name}${where} is reachable but slow` +
+        (event.latency ? ` (${event.latency}ms)` : '') + '.';
+      break;
+    case 'recovered':
+      title = `${event.name} has recovered`;
+      detail = `${event.name}${where} is ${event.to} again` +
+        (event.previousDurationSeconds
+          ? ` after ${formatDuration(event.previousDurationSeconds)} ${event.from}`
+          : '') + '.';
+      break;
+    default:
+      title = `Test notification for ${event.name}`;
+      detail = 'If you can read this, this notification channel works.';
+  }
+
+  return {
+    title,
+    text: `${detail}\nSince: ${event.at}\n${SITE_URL}`
+  };
+}
+
+function postJson(url, body, { timeoutMs = 10000, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+    const data = JSON.stringify(body);
+
+    const req = client.request(target, {
+      method: 'POST',
+      timeout: timeoutMs,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data),
+        ...headers
+      }
+    }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res.statusCode);
+        } else {
+          reject(new Error(`webhook returned HTTP ${res.statusCode}`));
+        }
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error('webhook timed out')));
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+const senders = {
+  // `content` is what Discord shows, `text` is what Slack shows; generic
+  // receivers can use the structured `event` field
+  async webhook(channel, event) {
+    const { title, text } = describeEvent(event);
+    await postJson(channel.url, {
+      content: `**${title}**\n${text}`,
+      text: `*${title}*\n${text}`,
+      embeds: [{
+        title,
+        description: text,
+        color: EVENT_COLOURS[event.type],
+        timestamp: event.at
+      }],
+      event
+    }, { headers: channel.headers });
+  },
+
+  async email(channel, event) {
+    const { title, text } = describeEvent(event);
+    await sendMail(channel.smtp, {
+      from: channel.from,
+      to: [].concat(channel.to),
+      subject: `[CSCT status] ${title}`,
+      text
+    });
+  },
+
+  async webpush(channel) {
+    const file = subscriptionsFileFor(channel);
+
+    for (const subscription of loadSubscriptions(file)) {
+      // Stored before endpoints were limited to the known push services
+      if (!isPushEndpoint(subscription.endpoint)) {
+        console.warn('Skipping a push subscription that is not on a known push service');
+        continue;
+      }
+      try {
+        const statusCode = await sendPush(subscription, channel.vapid);
+        // The browser unsubscribed. Removed one at a time rather than
+        // rewriting the list, so subscriptions added through the API while
+        // we were sending are kept.
+        if (statusCode === 404 || statusCode === 410) {
+          removeSubscription(file, subscription.endpoint);
+        }
+      } catch (err) {
+        console.error(`Push to ${new URL(subscription.endpoint).host} failed: ${err.message}`);
+      }
+    }
+  }
+};
+
+// Send events through every configured channel, honouring cooldowns.
+// Failures are logged, never thrown: a broken webhook, notifiers.json or
+// state file must not fail a run whose status has already been saved.
+async function notify(events, {
+  config,
+  now = new Date(),
+  statePath = STATE_FILE,
+  ignoreCooldown = false
+} = {}) {
+  if (events.length === 0) return [];
+
+  let state;
+  try {
+    if (config === undefined) config = loadNotifierConfig();
+    if (!config) return [];
+    state = readJson(statePath, { lastSent: {} });
+    if (!state || typeof state.lastSent !== 'object' || state.lastSent === null) {
+      throw new Error(`${path.basename(statePath)} has no lastSent`);
+    }
+  } catch (err) {
+    console.error(`Notifications skipped: ${err.message}`);
+    return [];
+  }
+  const sent = [];
+
+  for (const channel of config.channels) {
+    const due = events.filter((event) => {
+      if (!ignoreCooldown && !channel.events.includes(event.type)) return false;
+      const last = state.lastSent[`${channel.id}:${event.targetId}:${event.type}`];
+      const cooldownMs = channel.cooldownMinutes * 60 * 1000;
+      return ignoreCooldown || !last || now.getTime() - new Date(last).getTime() >= cooldownMs;
+    });
+    if (due.length === 0) continue;
+
+    try {
+      if (channel.type === 'webpush') {
+        // Pushes carry no payload, so one wake-up covers all events
+        await senders.webpush(channel);
+      } else {
+        for (const event of due) {
+          await senders[channel.type](channel, event);
+        }
+      }
+
+      due.forEach((event) => {
+        state.lastSent[`${channel.id}:${event.targetId}:${event.type}`] = now.toISOString();
+        sent.push({ channel: channel.id, type: event.type, targetId: event.targetId });
+      });
+      console.log(`Notified ${channel.id} of ${due.map((e) => `${e.targetId} ${e.type}`).join(', ')}`);
+    } catch (err) {
+      console.error(`Notifier ${channel.id} failed: ${err.message}`);
+    }
+  }
+
+  try {
+    writeJsonAtomic(statePath, state);
+  } catch (err) {
+    console.error(`Could not save notifier state: ${err.message}`);
+  }
+  return sent;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  loadNotifierConfig,
+  detectEvents,
+  describeEvent,
+  notify
+};
@@ -0,0 +1,45 @@
+// Sliding-window rate limiter for the status API
+//
+// Keeps the timestamps of recent hits per key (usually the client IP) in
+// memory. That's fine for a single small server process; limits reset when
+// it restarts.
+
+function createRateLimiter({ windowMs, max }) {
+  const hits = new Map();
+
+  const prune = (now) => {
+    hits.forEach((times, key) => {
+      const recent = times.filter((time) => now - time < windowMs);
+      if (recent.length === 0) {
+        hits.delete(key);
+      } else {
+        hits.set(key, recent);
+      }
+    });
+  };
+
+  // Periodically forget idle clients so the map can't grow without bound
+  const timer = setInterval(() => prune(Date.now()), windowMs);
+  timer.unref();
+
+  return {
+    // Records a hit and says whether it is allowed
+    check(key, now = Date.now()) {
+      const recent = (hits.get(key) || []).filter((time) => now - time < windowMs);
+
+      if (recent.length >= max) {
+        hits.set(key, recent);
+        const retryAfterMs = windowMs - (now - recent[0]);
+        return { allowed: false, retryAfterSeconds: Math.ceil(retryAfterMs / 1000) };
+      }
+
+      recent.push(now);
+      hits.set(key, recent);
+      return { allowed: true, remaining: max - recent.length };
+    }
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,104 @@
+// Uptime / SLA report for `node ping_csct.js report`
+//
+// Takes one summarizeChecks() result per target (see status-engine.js) and
+// renders it as a Markdown table for the monthly report, CSV for a
+// spreadsheet, or JSON with every outage for anything else.
+
+const { formatDuration } = require('../status-engine');
+
+const REPORT_FORMATS = ['md', 'csv', 'json'];
+
+function formatPercent(value) {
+  return value === null ? 'n/a' : `${value.toFixed(3)}%`;
+}
+
+// "2025-12-01T10:05:00.000Z" -> "2025-12-01 10:05 UTC"
+function formatTime(iso) {
+  return iso ? `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC` : 'ongoing';
+}
+
+function toMarkdown(report) {
+  const lines = [
+    `# CSCT service availability, ${formatTime(report.since)} to ${formatTime(report.until)}`,
+    '',
+    '| Service | Uptime | Outages | Downtime | Degraded | MTTR | MTBF | Longest outage | Maintenance | Not monitored |',
+    '| --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: | ---: | ---: |'
+  ];
+
+  report.targets.forEach((target) => {
+    lines.push(`| ${[
+      target.name,
+      formatPercent(target.uptimePercent),
+      target.outages.length,
+      formatDuration(target.downSeconds),
+      formatDuration(target.degradedSeconds),
+      formatDuration(target.mttrSeconds),
+      formatDuration(target.mtbfSeconds),
+      target.longestOutage ? formatDuration(target.longestOutage.duration) : '—',
+      formatDuration(target.maintenanceSeconds),
+      formatDuration(target.unknownSeconds)
+    ].join(' | ')} |`);
+  });
+
+  const withOutages = report.targets.filter((target) => target.outages.length > 0);
+  if (withOutages.length > 0) {
+    lines.push('', '## Outages');
+    withOutages.forEach((target) => {
+      lines.push('', `### ${target.name}`, '');
+      target.outages.forEach((outage) => {
+        lines.push(`- ${formatTime(outage.startTime)} to ${formatTime(outage.endTime)} (${formatDuration(outage.duration)})`);
+      });
+    });
+  }
+
+  lines.push(
+    '',
+    'Uptime counts slow-but-reachable time as available. Planned maintenance and ' +
+      'periods with no checks ("not monitored") are left out of uptime, MTTR and MTBF.'
+  );
+  return lines.join('\n');
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(report) {
+  const header = [
+    'id', 'name', 'since', 'until', 'checks', 'uptime_percent', 'outages',
+    'down_seconds', 'degraded_seconds', 'maintenance_seconds', 'unknown_seconds', 'mttr_seconds',
+    'mtbf_seconds', 'longest_outage_seconds', 'longest_outage_start'
+  ];
+  const rows = report.targets.map((target) => [
+    target.id,
+    target.name,
+    report.since,
+    report.until,
+    target.checks,
+    target.uptimePercent === null ? null : target.uptimePercent.toFixed(4),
+    target.outages.length,
+    target.downSeconds,
+    target.degradedSeconds,
+    target.maintenanceSeconds,
+    target.unknownSeconds,
+    target.mttrSeconds,
+    target.mtbfSeconds,
+    target.longestOutage ? target.longestOutage.duration : null,
+    target.longestOutage ? target.longestOutage.startTime : null
+  ]);
+
+  return [header, ...rows].map((row) => row.map(csvField).join(',')).join('\n');
+}
+
+// report: { since, until, targets: [{ id, name, ...summarizeChecks() }] }
+function formatReport(report, format) {
+  if (format === 'json') return JSON.stringify(report, null, 2);
+  if (format === 'csv') return toCsv(report);
+  return toMarkdown(report);
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  formatReport
+};
@@ -0,0 +1,57 @@
+// Crowd-sourced "is it down for you?" reports (reports.json)
+//
+// The probes only see one network path and can't tell when logins fail,
+// home directories are full or VS Code Remote won't connect. Visitors can
+// say so from the page through POST /api/reports (monitor/server.js, rate
+// limited per client); GET /api/reports returns how many came in during
+// the last "reports.windowMinutes" (default 30) and whether that is a spike
+// (see summarizeReports in status-engine.js). Configured by "reports" in
+// targets.json:
+//
+//   "reports": { "windowMinutes": 30, "spikeThreshold": 5, "degrade": true }
+//
+// With "degrade" the page shows a degraded state during a spike even while
+// every check passes. Nothing about the visitor is stored, only the
+// category and the time, and reports older than a day are dropped.
+
+const path = require('path');
+const { REPORT_CATEGORIES } = require('../status-engine');
+const { readJson, writeJsonAtomic } = require('./util');
+
+const REPORTS_FILE = path.join(__dirname, '..', 'reports.json');
+
+// Enough to cover any window worth configuring, and a cap so a script
+// getting round the rate limit can't fill the disk
+const KEEP_MS = 24 * 60 * 60 * 1000;
+const MAX_REPORTS = 2000;
+
+function loadReports(file = REPORTS_FILE) {
+  return readJson(file, []);
+}
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'EINVALID';
+  return err;
+}
+
+// body: { category } from the page
+function addReport(body, now = new Date(), file = REPORTS_FILE) {
+  const category = body && body.category;
+  if (typeof category !== 'string' || !Object.prototype.hasOwnProperty.call(REPORT_CATEGORIES, category)) {
+    throw invalid(`category must be one of ${Object.keys(REPORT_CATEGORIES).join(', ')}`);
+  }
+
+  const report = { category, at: now.toISOString() };
+  const reports = loadReports(file)
+    .filter((item) => now - new Date(item.at) < KEEP_MS)
+    .concat(report)
+    .slice(-MAX_REPORTS);
+  writeJsonAtomic(file, reports);
+  return report;
+}
+
+module.exports = {
+  loadReports,
+  addReport
+};
@@ -0,0 +1,485 @@
+// Status API for the frontend
+//
+//   GET  /api/status    the stored status, validated and migrated as
+//                       ping_csct.js reads it (503 if it fails validation)
+//   GET  /api/history   chart data (history.json), optionally ?target=<id>
+//   GET  /api/incidents incidents.json (see monitor/incidents.js)
+//   GET  /api/maintenance  maintenance.json (see monitor/maintenance.js)
+//   POST /api/check     run a round of checks now and return the new status
+//   GET  /api/events    Server-Sent Events stream: a `status` event with the
+//                       full status whenever it changes, preceded by a
+//                       `transition` event per confirmed state change
+//   GET  /api/push/key  VAPID public key of the webpush notifier
+//   POST /api/push/subscribe    { endpoint, keys } from PushSubscription.toJSON()
+//   POST /api/push/unsubscribe  { endpoint }
+//                       manage push-subscriptions.json (monitor/subscriptions.js);
+//                       404 when notifiers.json has no webpush channel
+//   POST /api/vantage/results  signed results from a probe agent
+//                       (monitor/vantage.js); 404 without vantages.json
+//   GET  /api/reports   "is it down for you?" reports in the last 30 minutes
+//   POST /api/reports   { category } from a visitor (see monitor/reports.js)
+//   GET  /metrics       Prometheus metrics (see monitor/metrics.js)
+//   GET  /api/v2/*.json Statuspage-compatible files written by each run
+//                       (see monitor/statuspage.js), served as static files
+//
+// The page's own files (PUBLIC_FILES below) are served from the repo root
+// too, so `node ping_csct.js serve` also hosts the page itself for local use. The production page stays on
+// static hosting and only falls back to status.json when this API is
+// unreachable.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createRateLimiter } = require('./ratelimit');
+const { detectEvents, loadNotifierConfig } = require('./notifier');
+const { loadIncidents } = require('./incidents');
+const { loadMaintenance } = require('./maintenance');
+const { subscriptionsFileFor, addSubscription, removeSubscription } = require('./subscriptions');
+const { SIGNATURE_HEADER, VANTAGE_HEADER, loadVantageConfig, recordSubmission } = require('./vantage');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { loadReports, addReport } = require('./reports');
+const { summarizeReports } = require('../status-engine');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CHART_FILE = path.join(ROOT_DIR, 'history.json');
+
+// What the page, the widget and their offline fallbacks load. Nothing else
+// in the repo is served: not the monitor's code, its config and secrets,
+// the check history or local state.
+const PUBLIC_FILES = [
+  'index.html', 'style.css', 'theme.css', 'status-engine.js', 'is-csct.status.js', 'sw.js',
+  'widget.html', 'widget.css', 'widget.js', 'embed.js',
+  'status.json', 'status.schema.json', 'history.json', 'maintenance.json', 'deadlines.json',
+  'feed.xml', 'rss.xml', 'calendar.ics', 'badge.svg'
+];
+// Favicons, and the Statuspage-compatible files (see monitor/statuspage.js)
+const PUBLIC_DIRS = ['assets/', 'api/v2/'];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.ics': 'text/calendar; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json'
+};
+
+// A fresh check result is shared for this long instead of probing again
+const CHECK_REUSE_MS = 30 * 1000;
+
+// Comment lines keep idle streams open through proxies that drop silent
+// connections; storage is polled so checks run from cron are pushed too
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const STATUS_WATCH_MS = 2000;
+const MAX_STREAMS = 500;
+
+// Push subscriptions are small; agent results grow with the number of targets
+const MAX_BODY_BYTES = 4096;
+const MAX_SUBMISSION_BYTES = 64 * 1024;
+
+class HttpError extends Error {
+  constructor(statusCode, message, headers = {}) {
+    super(message);
+    this.statusCode = statusCode;
+    this.headers = headers;
+  }
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readJsonFile(file, description) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new HttpError(503, `${description} is not available yet`);
+  }
+}
+
+function readBody(req, maxBytes = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        tooLarge = true;
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => {
+      if (tooLarge) {
+        reject(new HttpError(413, 'Request body too large'));
+        return;
+      }
+      resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', reject);
+  });
+}
+
+async function readJsonBody(req) {
+  const body = await readBody(req);
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    throw new HttpError(400, 'Request body must be JSON');
+  }
+}
+
+// The webpush channel from notifiers.json, read per request so keys can be
+// added without restarting
+function pushChannel() {
+  const config = loadNotifierConfig();
+  const channel = config && config.channels.find((item) => item.type === 'webpush');
+  if (!channel || !channel.vapid || !channel.vapid.publicKey) {
+    throw new HttpError(404, 'Push notifications are not set up on this server');
+  }
+  return channel;
+}
+
+function writeEvent(res, event, data) {
+  const id = event === 'status' ? `id: ${data.lastChecked}\n` : '';
+  res.write(`${id}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function clientKey(req, trustProxy) {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+function serveStatic(req, res, pathname) {
+  let relative;
+  try {
+    relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname).slice(1);
+  } catch (err) {
+    throw new HttpError(400, 'Malformed URL');
+  }
+  const file = path.normalize(path.join(ROOT_DIR, relative));
+  const isPublic = PUBLIC_FILES.includes(relative) || PUBLIC_DIRS.some((dir) => relative.startsWith(dir));
+
+  if (!isPublic ||
+      !file.startsWith(ROOT_DIR + path.sep) ||
+      relative.split('/').some((part) => part.startsWith('.'))) {
+    throw new HttpError(404, 'Not found');
+  }
+
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+      'Cache-Control': 'no-cache'
+    });
+    res.end(req.method === 'HEAD' ? undefined : data);
+  });
+}
+
+// runChecks: async () => status, as used by the one-shot CLI
+// readStatus: () => the stored status, throwing code EBADSTATUS when it
+//   fails validation (readStatusFile in ping_csct.js)
+// watchStatus: (listener, intervalMs) => stop, calls listener() when a new
+//   status is stored (see monitor/storage.js)
+// metrics: () => Prometheus text for /metrics (404 without it)
+// reports: "reports" from targets.json (see monitor/reports.js)
+function createStatusServer({
+  runChecks,
+  readStatus,
+  watchStatus,
+  metrics = null,
+  reports = {},
+  corsOrigin = '*',
+  trustProxy = false,
+  checkLimit = { windowMs: 10 * 60 * 1000, max: 3 },
+  readLimit = { windowMs: 60 * 1000, max: 120 },
+  pushLimit = { windowMs: 60 * 60 * 1000, max: 10 },
+  reportLimit = { windowMs: 30 * 60 * 1000, max: 3 }
+}) {
+  const checkLimiter = createRateLimiter(checkLimit);
+  const readLimiter = createRateLimiter(readLimit);
+  const pushLimiter = createRateLimiter(pushLimit);
+  const reportLimiter = createRateLimiter(reportLimit);
+
+  let inFlight = null;
+  let lastRun = null;
+
+  // Streams carry on with what they had when the stored status is unusable
+  const readStatusSnapshot = () => {
+    try {
+      return readStatus();
+    } catch (err) {
+      return null;
+    }
+  };
+
+  const streams = new Set();
+  let lastBroadcast = readStatusSnapshot();
+
+  // Push a new status to every open stream, once per round of checks (a
+  // check run here is seen both directly and through watchStatus)
+  const broadcast = (status) => {
+    if (!status || !status.targets) return;
+    if (lastBroadcast && lastBroadcast.lastChecked === status.lastChecked) return;
+
+    const transitions = lastBroadcast ? detectEvents(lastBroadcast, status) : [];
+    lastBroadcast = status;
+
+    streams.forEach((res) => {
+      transitions.forEach((event) => writeEvent(res, 'transition', event));
+      writeEvent(res, 'status', status);
+    });
+  };
+
+  const openStream = (req, res) => {
+    if (streams.size >= MAX_STREAMS) {
+      throw new HttpError(503, 'Too many live connections, falling back to polling', { 'Retry-After': '60' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // stop nginx holding events back
+    });
+    res.write('\n');
+
+    // Send the current state straight away unless the browser already has
+    // it (EventSource resends the last id when it reconnects)
+    if (lastBroadcast && req.headers['last-event-id'] !== lastBroadcast.lastChecked) {
+      writeEvent(res, 'status', lastBroadcast);
+    }
+
+    streams.add(res);
+    req.on('close', () => streams.delete(res));
+  };
+
+  const heartbeat = setInterval(() => {
+    streams.forEach((res) => res.write(': ping\n\n'));
+  }, STREAM_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  const stopWatching = watchStatus(() => broadcast(readStatusSnapshot()), STATUS_WATCH_MS);
+
+  // Several visitors pressing "Re-check" together share one probe run
+  const runSharedCheck = async () => {
+    if (lastRun && Date.now() - lastRun.finishedAt < CHECK_REUSE_MS) {
+      return { status: lastRun.status, reused: true };
+    }
+    if (!inFlight) {
+      inFlight = runChecks()
+        .then((status) => {
+          lastRun = { status, finishedAt: Date.now() };
+          broadcast(status);
+          return status;
+        })
+        .finally(() => {
+          inFlight = null;
+        });
+    }
+    return { status: await inFlight, reused: false };
+  };
+
+  // Subscribing and unsubscribing share a limit
+  const updateSubscription = async (req, update) => {
+    const limit = pushLimiter.check(clientKey(req, trustProxy));
+    if (!limit.allowed) {
+      throw new HttpError(429, 'Too many subscription changes, try again later', {
+        'Retry-After': String(limit.retryAfterSeconds)
+      });
+    }
+    const file = subscriptionsFileFor(pushChannel());
+    const body = await readJsonBody(req);
+    try {
+      return update(file, body);
+    } catch (err) {
+      if (err.code === 'EINVALID') throw new HttpError(400, err.message);
+      if (err.code === 'EFULL') throw new HttpError(503, 'Push notifications are full, sorry');
+      throw err;
+    }
+  };
+
+  const routes = {
+    'GET /api/status': () => readStatus(),
+
+    'GET /api/history': (req, url) => {
+      const history = readJsonFile(CHART_FILE, 'history.json');
+      const targetId = url.searchParams.get('target');
+      if (!targetId) return history;
+      if (!history.targets[targetId]) {
+        throw new HttpError(404, `Unknown target '${targetId}'`);
+      }
+      return { ...history, targets: { [targetId]: history.targets[targetId] } };
+    },
+
+    'GET /api/incidents': () => ({ incidents: loadIncidents() }),
+
+    'GET /api/maintenance': () => ({ windows: loadMaintenance() }),
+
+    'GET /api/reports': () => summarizeReports(loadReports(), new Date(), reports),
+
+    // A few per visitor per window, so one person can't make a spike
+    'POST /api/reports': async (req) => {
+      const limit = reportLimiter.check(clientKey(req, trustProxy));
+      if (!limit.allowed) {
+        throw new HttpError(429, 'You have already reported a problem, thanks', {
+          'Retry-After': String(limit.retryAfterSeconds)
+        });
+      }
+      const body = await readJsonBody(req);
+      try {
+        addReport(body);
+      } catch (err) {
+        if (err.code === 'EINVALID') throw new HttpError(400, err.message);
+        throw err;
+      }
+      return summarizeReports(loadReports(), new Date(), reports);
+    },
+
+    'GET /api/push/key': () => ({ publicKey: pushChannel().vapid.publicKey }),
+
+    'POST /api/push/subscribe': (req) => updateSubscription(req, (file, body) => ({
+      subscribed: true,
+      added: addSubscription(file, body)
+    })),
+
+    'POST /api/push/unsubscribe': (req) => updateSubscription(req, (file, body) => ({
+      subscribed: false,
+      removed: removeSubscription(file, body && body.endpoint)
+    })),
+
+    // Agents are authenticated by signature, so only the general limit applies
+    'POST /api/vantage/results': async (req) => {
+      const config = loadVantageConfig();
+      if (!config || config.vantages.length === 0) {
+        throw new HttpError(404, 'No vantage points are set up on this server');
+      }
+      const body = await readBody(req, MAX_SUBMISSION_BYTES);
+      try {
+        const stored = recordSubmission(config, {
+          vantageId: req.headers[VANTAGE_HEADER],
+          signature: req.headers[SIGNATURE_HEADER],
+          body
+        });
+        return { accepted: true, targets: Object.keys(stored.results).length };
+      } catch (err) {
+        if (err.code === 'EAUTH') throw new HttpError(401, err.message);
+        if (err.code === 'EINVALID') throw new HttpError(400, err.message);
+        throw err;
+      }
+    },
+
+    'POST /api/check': async (req) => {
+      const limit = checkLimiter.check(clientKey(req, trustProxy));
+      if (!limit.allowed) {
+        throw new HttpError(429, 'Too many checks requested, try again later', {
+          'Retry-After': String(limit.retryAfterSeconds)
+        });
+      }
+      try {
+        const { status, reused } = await runSharedCheck();
+        return { ...status, reused };
+      } catch (err) {
+        // The daemon or a cron run holds the lock; its result arrives shortly
+        if (err.code === 'ELOCKED') {
+          throw new HttpError(409, 'A check is already running, results will be up shortly');
+        }
+        throw err;
+      }
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    };
+    Object.entries(corsHeaders).forEach(([name, value]) => res.setHeader(name, value));
+
+    try {
+      // Node accepts request targets that URL can't parse, e.g. "//a:b@"
+      let url;
+      try {
+        url = new URL(req.url, 'http://localhost');
+      } catch (err) {
+        throw new HttpError(400, 'Malformed URL');
+      }
+
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+
+      const limit = readLimiter.check(clientKey(req, trustProxy));
+      if (!limit.allowed) {
+        throw new HttpError(429, 'Too many requests', { 'Retry-After': String(limit.retryAfterSeconds) });
+      }
+
+      const route = routes[`${req.method} ${url.pathname}`];
+      if (req.method === 'GET' && url.pathname === '/api/events') {
+        openStream(req, res);
+      } else if (req.method === 'GET' && url.pathname === '/metrics' && metrics) {
+        res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE, 'Cache-Control': 'no-store' });
+        res.end(metrics());
+      } else if (route) {
+        sendJson(res, 200, await route(req, url));
+      } else if (url.pathname.startsWith('/api/v2/') && (req.method === 'GET' || req.method === 'HEAD')) {
+        serveStatic(req, res, url.pathname);
+      } else if (url.pathname.startsWith('/api/')) {
+        throw new HttpError(404, 'Unknown API endpoint');
+      } else if (req.method === 'GET' || req.method === 'HEAD') {
+        serveStatic(req, res, url.pathname);
+      } else {
+        throw new HttpError(405, 'Method not allowed');
+      }
+    } catch (caught) {
+      // The stored status failed validation; ping_csct.js has kept a copy
+      const err = caught.code === 'EBADSTATUS'
+        ? new HttpError(503, 'The stored status needs attention from a maintainer')
+        : caught;
+      const statusCode = err.statusCode || 500;
+      if (statusCode === 500) {
+        console.error(`API error on ${req.method} ${req.url}:`, err);
+      }
+      sendJson(res, statusCode, { error: statusCode === 500 ? 'Internal error' : err.message }, err.headers);
+    }
+  });
+
+  server.on('close', () => {
+    clearInterval(heartbeat);
+    stopWatching();
+  });
+
+  // server.close() waits for open connections, so end the streams first
+  const close = server.close.bind(server);
+  server.close = (callback) => {
+    streams.forEach((res) => res.end());
+    streams.clear();
+    return close(callback);
+  };
+
+  return server;
+}
+
+module.exports = {
+  createStatusServer
+};
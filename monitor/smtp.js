@@ -0,0 +1,194 @@
+// Minimal SMTP client for outage emails
+//
+// Enough of RFC 5321 to hand one plain-text message to a relay: EHLO,
+// optional STARTTLS (or implicit TLS with "secure": true), AUTH PLAIN,
+// MAIL/RCPT/DATA and QUIT. Point it at a local fake server for testing by
+// setting host/port and leaving "secure" and "starttls" off.
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Reads SMTP replies off a socket. Multi-line replies ("250-...") are joined
+// until the final "250 ..." line. A read fails if no reply arrives within
+// timeoutMs or the relay hangs up, so a bad relay can't stall the run.
+function createReplyReader(socket, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const waiting = [];
+  const replies = [];
+
+  const deliver = (reply) => {
+    const next = waiting.shift();
+    if (next) {
+      next.resolve(reply);
+    } else {
+      replies.push(reply);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let lineEnd;
+    while ((lineEnd = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, lineEnd).replace(/\r$/, '');
+      buffer = buffer.slice(lineEnd + 1);
+      lines.push(line);
+      if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+        deliver({ code: Number(line.slice(0, 3)), lines: lines.map((l) => l.slice(4)) });
+        lines = [];
+      }
+    }
+  };
+
+  const onError = (err) => {
+    failure = failure || err;
+    while (waiting.length > 0) waiting.shift().reject(failure);
+  };
+  const onClose = () => onError(new Error('SMTP server closed the connection'));
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('end', onClose);
+  socket.on('close', onClose);
+
+  return {
+    read() {
+      if (replies.length > 0) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        const entry = {
+          resolve: (reply) => {
+            clearTimeout(timer);
+            resolve(reply);
+          },
+          reject: (err) => {
+            clearTimeout(timer);
+            reject(err);
+          }
+        };
+        const timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(entry), 1);
+          reject(new Error(`SMTP server did not reply within ${timeoutMs}ms`));
+        }, timeoutMs);
+        waiting.push(entry);
+      });
+    },
+    // Before STARTTLS hands the socket over; its end/close aren't ours then
+    detach() {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('end', onClose);
+      socket.removeListener('close', onClose);
+    }
+  };
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+    secureSocket.once('error', reject);
+  });
+}
+
+// Lines starting with a dot are escaped so they can't end DATA early
+function dotStuff(text) {
+  return text
+    .replace(/\r?\n/g, '\r\n')
+    .split('\r\n')
+    .map((line) => (line.startsWith('.') ? `.${line}` : line))
+    .join('\r\n');
+}
+
+function encodeHeader(value) {
+  // RFC 2047 encode anything outside printable ASCII (e.g. the en dash)
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const domain = from.split('@')[1] || os.hostname();
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+  return `${headers.join('\r\n')}\r\n\r\n${dotStuff(text)}`;
+}
+
+// Send one message. smtp: { host, port, secure, starttls, user, pass, timeoutMs }
+async function sendMail(smtp, { from, to, subject, text }) {
+  const host = smtp.host;
+  const port = smtp.port || (smtp.secure ? 465 : 25);
+  const timeoutMs = smtp.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  let socket = await connect({ host, port, secure: smtp.secure, timeoutMs });
+  let reader = createReplyReader(socket, timeoutMs);
+
+  const command = async (line, expected) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.read();
+    if (!expected.includes(reply.code)) {
+      const shown = line && line.startsWith('AUTH') ? 'AUTH PLAIN ***' : line;
+      throw new Error(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+
+    if (smtp.starttls && !smtp.secure) {
+      if (!ehlo.lines.some((l) => l.toUpperCase().startsWith('STARTTLS'))) {
+        throw new Error('SMTP server does not offer STARTTLS');
+      }
+      await command('STARTTLS', [220]);
+      reader.detach();
+      socket = await upgradeToTls(socket, host);
+      reader = createReplyReader(socket, timeoutMs);
+      ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (smtp.user) {
+      const credentials = Buffer.from(`\u0000${smtp.user}\u0000${smtp.pass || ''}`).toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${from}>`, [250]);
+    for (const recipient of to) {
+      await command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await command('DATA', [354]);
+    await command(`${buildMessage({ from, to, subject, text })}\r\n.`, [250]);
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+module.exports = {
+  sendMail
+};
@@ -0,0 +1,270 @@
+// SSH protocol check for ping_csct.js
+//
+// A bare TCP connect succeeds as soon as anything accepts the connection,
+// including a load balancer with nothing behind it or an sshd too overloaded
+// to talk. This check instead waits for the server's identification banner
+// ("SSH-2.0-...") and, when asked, runs the start of the key exchange far
+// enough to receive the server's host key (RFC 4253 / RFC 8731).
+//
+// We never authenticate or open a channel: once KEX_ECDH_REPLY arrives the
+// socket is closed. The host key signature is not verified, the fingerprint
+// is only used to notice that the key changed between runs.
+
+const net = require('net');
+const crypto = require('crypto');
+
+const CLIENT_IDENT = 'SSH-2.0-csct-status_1.0';
+const MAX_BANNER_BYTES = 8192;
+
+const SSH_MSG_DISCONNECT = 1;
+const SSH_MSG_KEXINIT = 20;
+const SSH_MSG_KEX_ECDH_INIT = 30;
+const SSH_MSG_KEX_ECDH_REPLY = 31;
+
+const KEX_ALGORITHMS = ['curve25519-sha256', 'curve25519-sha256@libssh.org'];
+const HOST_KEY_ALGORITHMS = [
+  'ssh-ed25519',
+  'ecdsa-sha2-nistp256',
+  'ecdsa-sha2-nistp384',
+  'ecdsa-sha2-nistp521',
+  'rsa-sha2-512',
+  'rsa-sha2-256',
+  'ssh-rsa'
+];
+// Only advertised so the server accepts our KEXINIT; never used
+const CIPHERS = ['aes128-ctr', 'aes256-ctr', 'chacha20-poly1305@openssh.com', 'aes128-gcm@openssh.com'];
+const MACS = ['hmac-sha2-256', 'hmac-sha2-512', 'hmac-sha2-256-etm@openssh.com'];
+
+function sshString(value) {
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8');
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, data]);
+}
+
+function nameList(names) {
+  return sshString(names.join(','));
+}
+
+// Wrap a payload in the unencrypted binary packet format (no MAC before NEWKEYS)
+function buildPacket(payload) {
+  let paddingLength = 8 - ((5 + payload.length) % 8);
+  if (paddingLength < 4) paddingLength += 8;
+
+  const header = Buffer.alloc(5);
+  header.writeUInt32BE(1 + payload.length + paddingLength);
+  header.writeUInt8(paddingLength, 4);
+  return Buffer.concat([header, payload, crypto.randomBytes(paddingLength)]);
+}
+
+function buildKexInit() {
+  return Buffer.concat([
+    Buffer.from([SSH_MSG_KEXINIT]),
+    crypto.randomBytes(16),
+    nameList(KEX_ALGORITHMS),
+    nameList(HOST_KEY_ALGORITHMS),
+    nameList(CIPHERS),
+    nameList(CIPHERS),
+    nameList(MACS),
+    nameList(MACS),
+    nameList(['none']),
+    nameList(['none']),
+    nameList([]),
+    nameList([]),
+    Buffer.from([0]), // first_kex_packet_follows
+    Buffer.alloc(4) // reserved
+  ]);
+}
+
+function readString(buffer, offset) {
+  const length = buffer.readUInt32BE(offset);
+  const start = offset + 4;
+  return { value: buffer.subarray(start, start + length), next: start + length };
+}
+
+function parseKexAlgorithms(payload) {
+  // Skip message id and 16 byte cookie
+  const { value } = readString(payload, 17);
+  return value.toString('utf8').split(',');
+}
+
+// OpenSSH style fingerprint: SHA256:<unpadded base64 of the key blob hash>
+function fingerprintHostKey(hostKeyBlob) {
+  const digest = crypto.createHash('sha256').update(hostKeyBlob).digest('base64');
+  return `SHA256:${digest.replace(/=+$/, '')}`;
+}
+
+function createX25519KeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+  const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+  return { publicKey: raw, privateKey };
+}
+
+// Resolves with { online, latency, bannerLatency, serverVersion, hostKey, error }
+// latency is the TCP connect time; bannerLatency is connect start -> banner
+function checkSsh(host, port, { timeoutMs = 5000, kex = false } = {}) {
+  return new Promise((resolve) => {
+    const socket = new net.Socket();
+    const startTime = Date.now();
+    const result = {
+      online: false,
+      latency: null,
+      bannerLatency: null,
+      serverVersion: null,
+      hostKey: null,
+      error: null
+    };
+
+    let settled = false;
+    let buffer = Buffer.alloc(0);
+    let stage = 'banner';
+
+    // code is the Node error code where there is one; otherwise the server
+    // answered but not like an SSH server (see monitor/diagnostics.js)
+    const finish = (error, code = 'EPROTOCOL') => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolve({
+        ...result,
+        online: !error,
+        latency: error ? null : result.latency,
+        error: error || null,
+        code: error ? code : null
+      });
+    };
+
+    const handleBanner = () => {
+      // Servers may send other lines before the identification string
+      while (stage === 'banner') {
+        const lineEnd = buffer.indexOf('\n');
+        if (lineEnd === -1) {
+          if (buffer.length > MAX_BANNER_BYTES) {
+            finish('no SSH banner received');
+          }
+          return;
+        }
+
+        const line = buffer.subarray(0, lineEnd).toString('utf8').replace(/\r$/, '');
+        buffer = buffer.subarray(lineEnd + 1);
+
+        if (!line.startsWith('SSH-')) continue;
+
+        result.bannerLatency = Date.now() - startTime;
+        result.serverVersion = line;
+
+        if (!line.startsWith('SSH-2.0-') && !line.startsWith('SSH-1.99-')) {
+          finish(`unsupported SSH protocol: ${line}`);
+          return;
+        }
+
+        if (!kex) {
+          finish(null);
+          return;
+        }
+
+        socket.write(`${CLIENT_IDENT}\r\n`);
+        socket.write(buildPacket(buildKexInit()));
+        stage = 'kexinit';
+      }
+    };
+
+    const handlePacket = (payload) => {
+      const messageId = payload[0];
+
+      if (messageId === SSH_MSG_DISCONNECT) {
+        const { value } = readString(payload, 5);
+        finish(`server disconnected during key exchange: ${value.toString('utf8')}`);
+        return;
+      }
+
+      if (stage === 'kexinit' && messageId === SSH_MSG_KEXINIT) {
+        const serverKex = parseKexAlgorithms(payload);
+        if (!serverKex.some((name) => KEX_ALGORITHMS.includes(name))) {
+          // Banner proves sshd is alive; we just can't read the host key
+          result.hostKey = null;
+          finish(null);
+          return;
+        }
+
+        const { publicKey } = createX25519KeyPair();
+        socket.write(buildPacket(Buffer.concat([
+          Buffer.from([SSH_MSG_KEX_ECDH_INIT]),
+          sshString(publicKey)
+        ])));
+        stage = 'reply';
+        return;
+      }
+
+      if (stage === 'reply' && messageId === SSH_MSG_KEX_ECDH_REPLY) {
+        const hostKeyBlob = readString(payload, 1).value;
+        const keyType = readString(hostKeyBlob, 0).value.toString('utf8');
+        result.hostKey = {
+          type: keyType,
+          fingerprint: fingerprintHostKey(hostKeyBlob)
+        };
+        finish(null);
+      }
+      // Anything else (e.g. SSH_MSG_IGNORE / EXT_INFO) is skipped
+    };
+
+    const handlePackets = () => {
+      while (buffer.length >= 5 && !settled) {
+        const packetLength = buffer.readUInt32BE(0);
+        if (packetLength > 256 * 1024) {
+          finish('invalid SSH packet length');
+          return;
+        }
+        if (buffer.length < 4 + packetLength) return;
+
+        const paddingLength = buffer.readUInt8(4);
+        const payload = buffer.subarray(5, 4 + packetLength - paddingLength);
+        buffer = buffer.subarray(4 + packetLength);
+        handlePacket(payload);
+      }
+    };
+
+    socket.setTimeout(timeoutMs);
+
+    socket.on('connect', () => {
+      result.latency = Date.now() - startTime;
+    });
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        if (stage === 'banner') handleBanner();
+        if (stage !== 'banner') handlePackets();
+      } catch (err) {
+        finish(`malformed SSH response: ${err.message}`);
+      }
+    });
+
+    socket.on('timeout', () => {
+      if (stage === 'banner') {
+        if (result.latency === null) {
+          finish('timeout', 'ETIMEDOUT');
+        } else {
+          finish('connected but no SSH banner (timeout)');
+        }
+      } else {
+        finish('key exchange timed out');
+      }
+    });
+
+    socket.on('end', () => {
+      finish(stage === 'banner' ? 'connection closed before SSH banner' : 'connection closed during key exchange', 'ECONNRESET');
+    });
+
+    socket.on('error', (err) => {
+      finish(err.message || 'connection refused', err.code || null);
+    });
+
+    socket.connect(port, host);
+  });
+}
+
+module.exports = {
+  checkSsh,
+  fingerprintHostKey
+};
@@ -0,0 +1,173 @@
+// Statuspage-compatible public API (Atlassian Statuspage v2 JSON), rewritten
+// by ping_csct.js after every run next to the page so it works on static
+// hosting:
+//
+//   api/v2/summary.json     page status, components, unresolved incidents
+//                           and upcoming maintenance
+//   api/v2/status.json      just the page status indicator
+//   api/v2/components.json  one component per target
+//   api/v2/incidents.json   the latest incidents from incidents.json
+//
+// Aggregators, browser extensions and chat bots that already read
+// Statuspage pages can point at https://is-csct.online/ unchanged. Targets
+// map to components by id; Statuspage has no "unknown" state, so a target
+// that hasn't been checked yet is reported as operational.
+
+const fs = require('fs');
+const path = require('path');
+const { currentMaintenance, upcomingMaintenance } = require('../status-engine');
+const { SITE_URL, writeJsonAtomic } = require('./util');
+
+const PAGE_ID = 'is-csct';
+const PAGE_NAME = 'CSCT Cloud';
+const TIME_ZONE = 'Europe/London';
+
+const API_DIR = path.join(__dirname, '..', 'api', 'v2');
+const MAX_INCIDENTS = 50;
+
+// Overall status -> Statuspage indicator and description
+const INDICATORS = {
+  online: ['none', 'All Systems Operational'],
+  warning: ['none', 'All Systems Operational'],
+  degraded: ['minor', 'Minor Service Outage'],
+  partial: ['major', 'Partial System Outage'],
+  offline: ['critical', 'Major Service Outage'],
+  maintenance: ['maintenance', 'Service Under Maintenance'],
+  unknown: ['none', 'Status Unknown']
+};
+
+const COMPONENT_STATUSES = {
+  online: 'operational',
+  degraded: 'degraded_performance',
+  offline: 'major_outage',
+  maintenance: 'under_maintenance'
+};
+
+function pageInfo(status) {
+  return {
+    id: PAGE_ID,
+    name: PAGE_NAME,
+    url: SITE_URL,
+    time_zone: TIME_ZONE,
+    updated_at: status.lastChecked
+  };
+}
+
+function pageStatus(status) {
+  const [indicator, description] = INDICATORS[status.overallStatus] || INDICATORS.unknown;
+  return { indicator, description };
+}
+
+function components(status) {
+  return Object.entries(status.targets || {}).map(([id, target], index) => ({
+    id,
+    name: target.name || id,
+    status: COMPONENT_STATUSES[target.lastStatus] || 'operational',
+    created_at: null,
+    updated_at: target.lastStatusChange || target.lastChecked,
+    position: index + 1,
+    description: target.host ? `${target.host}:${target.port}` : null,
+    showcase: true,
+    start_date: null,
+    group_id: null,
+    page_id: PAGE_ID,
+    group: false,
+    only_show_if_degraded: false
+  }));
+}
+
+function affectedComponents(status, targetIds) {
+  return components(status).filter((component) => targetIds.includes(component.id));
+}
+
+function toIncident(status, incident) {
+  const monitoringUpdate = incident.updates.find((update) => update.status === 'monitoring');
+  const latest = incident.updates[incident.updates.length - 1];
+  const id = String(incident.id);
+
+  return {
+    id,
+    name: incident.title,
+    status: incident.status,
+    created_at: incident.createdAt,
+    updated_at: latest ? latest.at : incident.createdAt,
+    monitoring_at: monitoringUpdate ? monitoringUpdate.at : null,
+    resolved_at: incident.resolvedAt,
+    impact: incident.severity,
+    shortlink: SITE_URL,
+    started_at: incident.createdAt,
+    page_id: PAGE_ID,
+    // Newest first, as Statuspage lists them
+    incident_updates: incident.updates.map((update, index) => ({
+      id: `${id}-${index + 1}`,
+      status: update.status,
+      body: update.message || '',
+      incident_id: id,
+      created_at: update.at,
+      updated_at: update.at,
+      display_at: update.at,
+      affected_components: null
+    })).reverse(),
+    components: affectedComponents(status, incident.targets || [])
+  };
+}
+
+function toScheduledMaintenance(status, window, now) {
+  const started = new Date(window.start) <= now;
+  const targetIds = window.targets.length > 0 ? window.targets : Object.keys(status.targets || {});
+  return {
+    id: String(window.id),
+    name: window.description || 'Planned maintenance',
+    status: started ? 'in_progress' : 'scheduled',
+    created_at: window.start,
+    updated_at: window.start,
+    monitoring_at: null,
+    resolved_at: null,
+    impact: 'maintenance',
+    shortlink: SITE_URL,
+    started_at: window.start,
+    page_id: PAGE_ID,
+    incident_updates: [],
+    components: affectedComponents(status, targetIds),
+    scheduled_for: window.start,
+    scheduled_until: window.end
+  };
+}
+
+function buildStatuspage({ status, incidents = [], maintenanceWindows = [], now = new Date() }) {
+  const page = pageInfo(status);
+  const newestFirst = incidents
+    .slice()
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map((incident) => toIncident(status, incident));
+
+  // Active windows and those starting within the week, as on the page
+  const scheduled = currentMaintenance(maintenanceWindows, now)
+    .concat(upcomingMaintenance(maintenanceWindows, now))
+    .map((window) => toScheduledMaintenance(status, window, now));
+
+  return {
+    'summary.json': {
+      page,
+      components: components(status),
+      incidents: newestFirst.filter((incident) => incident.status !== 'resolved'),
+      scheduled_maintenances: scheduled,
+      status: pageStatus(status)
+    },
+    'status.json': { page, status: pageStatus(status) },
+    'components.json': { page, components: components(status) },
+    'incidents.json': { page, incidents: newestFirst.slice(0, MAX_INCIDENTS) }
+  };
+}
+
+function writeStatuspage(options) {
+  fs.mkdirSync(API_DIR, { recursive: true });
+  Object.entries(buildStatuspage(options)).forEach(([name, body]) => {
+    writeJsonAtomic(path.join(API_DIR, name), body);
+  });
+}
+
+module.exports = {
+  buildStatuspage,
+  writeStatuspage
+};
@@ -0,0 +1,397 @@
+// Where ping_csct.js keeps its state ("storage" in targets.json)
+//
+//   { "backend": "json" }      status.json plus the history/*.ndjson log
+//                              (the default)
+//   { "backend": "sqlite", "file": "csct.db", "rawDays": 7, "rollupDays": 365 }
+//                              one SQLite database (node:sqlite, Node 22.5+)
+//                              holding the status snapshot, every check,
+//                              incidents and maintenance windows
+//
+// With SQLite, raw checks older than rawDays are rolled up into one row per
+// target per hour (checks, up, maintenance, latency), kept for rollupDays.
+// Reading history back expands each hourly row into that many checks spread
+// over the hour, failures together, so charts and reports over older
+// periods still work; within a rolled-up hour short outages merge into one.
+// The first time the database is opened it imports the existing status.json
+// and history log, so switching backends keeps the running totals.
+//
+// Either way every write is atomic: JSON files are written under a
+// temporary name and renamed into place, and each run's checks and status
+// go into SQLite in one transaction. status.json is still what the static
+// site and the feeds read, so the SQLite backend exports its snapshot
+// there after every run unless "publish" is false; `node
+// ping_csct.js export` does the same on demand. incidents.json and
+// maintenance.json stay the files maintainers edit; SQLite keeps a copy.
+//
+// The API server reads the status through here too, and watchStatus()
+// tells it when a new one is stored (see monitor/server.js).
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { appendHistory, readHistory } = require('./history');
+const { writeJsonAtomic } = require('./util');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const STATUS_FILE = path.join(ROOT_DIR, 'status.json');
+
+const BACKENDS = ['json', 'sqlite'];
+const DEFAULT_SQLITE = { file: 'csct.db', rawDays: 7, rollupDays: 365, publish: true };
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// The text of status.json, null when there isn't one yet. Parsing and
+// validation are up to the caller, so a bad file can be kept as it was.
+function readStatusText(file = STATUS_FILE) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+function createJsonStorage(rootDir) {
+  const statusFile = path.join(rootDir, 'status.json');
+  const historyDir = path.join(rootDir, 'history');
+  return {
+    backend: 'json',
+    readStatusText: () => readStatusText(statusFile),
+    writeStatus: (status) => writeJsonAtomic(statusFile, status),
+    recordRun({ status, checks }) {
+      appendHistory(checks, historyDir);
+      writeJsonAtomic(statusFile, status);
+    },
+    readChecks: (range) => readHistory(range, historyDir),
+    // incidents.json and maintenance.json are already the store
+    saveIncidents() {},
+    saveMaintenance() {},
+    compact: () => null,
+    close() {}
+  };
+}
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS snapshot (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS checks (
+    t INTEGER NOT NULL,
+    target TEXT NOT NULL,
+    up INTEGER NOT NULL,
+    ms INTEGER,
+    err TEXT,
+    mnt INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS checks_by_time ON checks (t);
+  CREATE TABLE IF NOT EXISTS check_rollups (
+    hour INTEGER NOT NULL,
+    target TEXT NOT NULL,
+    checks INTEGER NOT NULL,
+    up INTEGER NOT NULL,
+    maintenance INTEGER NOT NULL,
+    latency_sum INTEGER NOT NULL,
+    latency_count INTEGER NOT NULL,
+    latency_max INTEGER,
+    PRIMARY KEY (hour, target)
+  );
+  CREATE TABLE IF NOT EXISTS incidents (
+    id INTEGER PRIMARY KEY,
+    status TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS maintenance_windows (
+    id TEXT PRIMARY KEY,
+    starts_at TEXT NOT NULL,
+    ends_at TEXT NOT NULL,
+    value TEXT NOT NULL
+  );
+`;
+
+// One history entry ({ t, id, up, ms, err, mnt }) per check in the hour,
+// evenly spaced: the ones that got through, then the failures, then those
+// made during maintenance
+function expandRollup(row) {
+  const total = row.checks + row.maintenance;
+  const step = HOUR_MS / total;
+  const latency = row.latency_count > 0 ? Math.round(row.latency_sum / row.latency_count) : null;
+
+  return Array.from({ length: total }, (_, index) => {
+    const entry = {
+      t: new Date(row.hour + Math.floor(index * step)).toISOString(),
+      id: row.target,
+      up: index < row.up || index >= row.checks,
+      ms: null,
+      err: null
+    };
+    if (index >= row.checks) {
+      entry.mnt = true;
+    } else if (entry.up) {
+      entry.ms = latency;
+    } else {
+      entry.err = 'rolled up';
+    }
+    return entry;
+  });
+}
+
+function toRow(entry) {
+  return {
+    t: new Date(entry.t).getTime(),
+    target: entry.id,
+    up: entry.up ? 1 : 0,
+    ms: typeof entry.ms === 'number' ? entry.ms : null,
+    err: entry.err || null,
+    mnt: entry.mnt ? 1 : 0
+  };
+}
+
+function fromRow(row) {
+  const entry = {
+    t: new Date(row.t).toISOString(),
+    id: row.target,
+    up: row.up === 1,
+    ms: row.ms,
+    err: row.err
+  };
+  if (row.mnt) {
+    entry.mnt = true;
+  }
+  return entry;
+}
+
+function openDatabase(file) {
+  let sqlite;
+  try {
+    sqlite = require('node:sqlite');
+  } catch (err) {
+    throw new Error(`The sqlite storage backend needs Node 22.5 or later (node:sqlite), this is ${process.version}`);
+  }
+  const db = new sqlite.DatabaseSync(file);
+  // WAL lets the API read while a run is writing
+  db.exec('PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000;');
+  db.exec(SCHEMA);
+  return db;
+}
+
+function createSqliteStorage(config, rootDir) {
+  const options = { ...DEFAULT_SQLITE, ...config };
+  const statusFile = path.join(rootDir, 'status.json');
+  const db = openDatabase(path.resolve(rootDir, options.file));
+
+  const transaction = (work) => {
+    db.exec('BEGIN IMMEDIATE');
+    try {
+      const result = work();
+      db.exec('COMMIT');
+      return result;
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+  };
+
+  const statements = {
+    readSnapshot: db.prepare("SELECT value FROM snapshot WHERE key = 'status'"),
+    writeSnapshot: db.prepare(`
+      INSERT INTO snapshot (key, value, updated_at) VALUES ('status', :value, :updatedAt)
+      ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `),
+    insertCheck: db.prepare('INSERT INTO checks (t, target, up, ms, err, mnt) VALUES (:t, :target, :up, :ms, :err, :mnt)'),
+    rawChecks: db.prepare('SELECT * FROM checks WHERE t >= :since AND t < :until ORDER BY t'),
+    rollups: db.prepare('SELECT * FROM check_rollups WHERE hour >= :since AND hour < :until ORDER BY hour'),
+    rollUp: db.prepare(`
+      INSERT INTO check_rollups (hour, target, checks, up, maintenance, latency_sum, latency_count, latency_max)
+      SELECT (t / ${HOUR_MS}) * ${HOUR_MS}, target,
+             SUM(mnt = 0), SUM(mnt = 0 AND up = 1), SUM(mnt = 1),
+             COALESCE(SUM(CASE WHEN mnt = 0 AND up = 1 THEN ms END), 0),
+             COUNT(CASE WHEN mnt = 0 AND up = 1 THEN ms END),
+             MAX(CASE WHEN mnt = 0 AND up = 1 THEN ms END)
+      FROM checks WHERE t < :before
+      GROUP BY 1, 2
+      ON CONFLICT (hour, target) DO UPDATE SET
+        checks = checks + excluded.checks,
+        up = up + excluded.up,
+        maintenance = maintenance + excluded.maintenance,
+        latency_sum = latency_sum + excluded.latency_sum,
+        latency_count = latency_count + excluded.latency_count,
+        latency_max = MAX(COALESCE(latency_max, 0), COALESCE(excluded.latency_max, 0))
+    `),
+    deleteRaw: db.prepare('DELETE FROM checks WHERE t < :before'),
+    deleteRollups: db.prepare('DELETE FROM check_rollups WHERE hour < :before'),
+    saveIncident: db.prepare(`
+      INSERT INTO incidents (id, status, created_at, value) VALUES (:id, :status, :createdAt, :value)
+      ON CONFLICT (id) DO UPDATE SET status = excluded.status, value = excluded.value
+    `),
+    clearMaintenance: db.prepare('DELETE FROM maintenance_windows'),
+    saveWindow: db.prepare('INSERT INTO maintenance_windows (id, starts_at, ends_at, value) VALUES (:id, :start, :end, :value)')
+  };
+
+  const readSnapshot = () => {
+    const row = statements.readSnapshot.get();
+    return row ? row.value : null;
+  };
+  const writeSnapshot = (text) => {
+    statements.writeSnapshot.run({ value: text, updatedAt: new Date().toISOString() });
+  };
+  const insertChecks = (checks) => checks.forEach((entry) => statements.insertCheck.run(toRow(entry)));
+  const publish = (status) => {
+    if (options.publish) writeJsonAtomic(statusFile, status);
+  };
+
+  // Carry over what the JSON backend had
+  if (readSnapshot() === null) {
+    const existing = readStatusText(statusFile);
+    if (existing !== null) {
+      const history = readHistory({}, path.join(rootDir, 'history'));
+      transaction(() => {
+        insertChecks(history);
+        writeSnapshot(existing);
+      });
+      console.log(`Imported status.json and ${history.length} logged checks into ${options.file}`);
+    }
+  }
+
+  return {
+    backend: 'sqlite',
+    readStatusText: readSnapshot,
+    writeStatus(status) {
+      writeSnapshot(JSON.stringify(status));
+      publish(status);
+    },
+    recordRun({ status, checks }) {
+      transaction(() => {
+        insertChecks(checks);
+        writeSnapshot(JSON.stringify(status));
+      });
+      publish(status);
+    },
+    readChecks({ since = null, until = null } = {}) {
+      const range = {
+        since: since ? since.getTime() : 0,
+        until: until ? until.getTime() : Number.MAX_SAFE_INTEGER
+      };
+      const raw = statements.rawChecks.all(range).map(fromRow);
+      const rolledUp = statements.rollups
+        .all({ since: Math.floor(range.since / HOUR_MS) * HOUR_MS, until: range.until })
+        .flatMap(expandRollup)
+        .filter((entry) => {
+          const time = new Date(entry.t).getTime();
+          return time >= range.since && time < range.until;
+        });
+      return [...rolledUp, ...raw].sort((a, b) => new Date(a.t) - new Date(b.t));
+    },
+    saveIncidents(incidents) {
+      transaction(() => incidents.forEach((incident) => statements.saveIncident.run({
+        id: incident.id,
+        status: incident.status,
+        createdAt: incident.createdAt,
+        value: JSON.stringify(incident)
+      })));
+    },
+    saveMaintenance(windows) {
+      transaction(() => {
+        statements.clearMaintenance.run();
+        windows.forEach((window) => statements.saveWindow.run({
+          id: String(window.id),
+          start: window.start,
+          end: window.end,
+          value: JSON.stringify(window)
+        }));
+      });
+    },
+    // Roll raw checks older than rawDays up into whole hours, and drop
+    // hourly rows older than rollupDays
+    compact(now = new Date()) {
+      const rawBefore = Math.floor((now.getTime() - options.rawDays * DAY_MS) / HOUR_MS) * HOUR_MS;
+      const rollupsBefore = now.getTime() - options.rollupDays * DAY_MS;
+      return transaction(() => {
+        statements.rollUp.run({ before: rawBefore });
+        const rolledUp = statements.deleteRaw.run({ before: rawBefore }).changes;
+        const expired = statements.deleteRollups.run({ before: rollupsBefore }).changes;
+        return { rolledUp, expired };
+      });
+    },
+    close: () => db.close()
+  };
+}
+
+// Adds watchStatus(listener, intervalMs) to a backend: listener() is
+// called straight after a status is written through this object, and
+// within intervalMs when another process (a cron run, or a daemon next to
+// `serve`) stores one. Returns a function that stops watching.
+function withStatusWatch(store) {
+  const written = new EventEmitter();
+  const stops = new Set();
+
+  const watchStatus = (listener, intervalMs = 2000) => {
+    let lastText = null;
+    const changed = () => {
+      let text;
+      try {
+        text = store.readStatusText();
+      } catch (err) {
+        return false; // e.g. the database is busy; try again next time
+      }
+      const isNew = text !== lastText;
+      lastText = text;
+      return isNew;
+    };
+
+    changed();
+    const poll = setInterval(() => {
+      if (changed()) listener();
+    }, intervalMs);
+    poll.unref();
+    // Our own writes are passed on straight away, and not again by the poll
+    const onWrite = () => {
+      changed();
+      listener();
+    };
+    written.on('status', onWrite);
+
+    const stop = () => {
+      clearInterval(poll);
+      written.off('status', onWrite);
+      stops.delete(stop);
+    };
+    stops.add(stop);
+    return stop;
+  };
+
+  return {
+    ...store,
+    writeStatus(status) {
+      store.writeStatus(status);
+      written.emit('status');
+    },
+    recordRun(run) {
+      store.recordRun(run);
+      written.emit('status');
+    },
+    watchStatus,
+    close() {
+      stops.forEach((stop) => stop());
+      store.close();
+    }
+  };
+}
+
+// rootDir holds status.json, history/ and the database: the repo, except
+// in tests
+function createStorage(config = {}, rootDir = ROOT_DIR) {
+  const backend = config.backend || 'json';
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown storage backend '${backend}' in targets.json (use ${BACKENDS.join(' or ')})`);
+  }
+  return withStatusWatch(backend === 'sqlite' ? createSqliteStorage(config, rootDir) : createJsonStorage(rootDir));
+}
+
+module.exports = {
+  STATUS_FILE,
+  createStorage
+};
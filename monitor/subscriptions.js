@@ -0,0 +1,117 @@
+// Web Push subscriptions (push-subscriptions.json)
+//
+// Browsers subscribe and unsubscribe from the status page through
+// POST /api/push/subscribe and /api/push/unsubscribe (monitor/server.js);
+// the webpush notifier reads the same file when sending and drops
+// subscriptions the push service reports as gone. The file can be moved
+// with "subscriptionsFile" on the webpush channel in notifiers.json.
+
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('./util');
+
+const SUBSCRIPTIONS_FILE = path.join(__dirname, '..', 'push-subscriptions.json');
+
+// Plenty for a module's worth of students, and stops a script filling the
+// disk through the public endpoint
+const MAX_SUBSCRIPTIONS = 5000;
+const MAX_ENDPOINT_LENGTH = 2048;
+
+// The push services browsers hand out endpoints for (Chrome, Firefox,
+// Safari, Edge), and their subdomains. Anything else would have the
+// notifier POST wherever a visitor pointed it, including our own network.
+const PUSH_SERVICES = [
+  'fcm.googleapis.com',
+  'android.googleapis.com',
+  'push.services.mozilla.com',
+  'push.apple.com',
+  'notify.windows.com'
+];
+
+function subscriptionsFileFor(channel) {
+  return channel && channel.subscriptionsFile
+    ? path.resolve(__dirname, '..', channel.subscriptionsFile)
+    : SUBSCRIPTIONS_FILE;
+}
+
+function loadSubscriptions(file = SUBSCRIPTIONS_FILE) {
+  return readJson(file, []);
+}
+
+function saveSubscriptions(subscriptions, file = SUBSCRIPTIONS_FILE) {
+  writeJsonAtomic(file, subscriptions);
+}
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'EINVALID';
+  return err;
+}
+
+// Whether an endpoint is an https:// URL on one of PUSH_SERVICES
+function isPushEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (err) {
+    return false;
+  }
+  const host = url.hostname.toLowerCase();
+  return url.protocol === 'https:' &&
+    url.port === '' &&
+    url.username === '' &&
+    url.password === '' &&
+    PUSH_SERVICES.some((service) => host === service || host.endsWith(`.${service}`));
+}
+
+// Keep only what a PushSubscription's toJSON() gives us. Pushes are sent
+// without a payload, so the keys are stored but not needed.
+function parseSubscription(body) {
+  const endpoint = body && body.endpoint;
+  if (typeof endpoint !== 'string' || endpoint.length > MAX_ENDPOINT_LENGTH) {
+    throw invalid('A subscription needs an endpoint');
+  }
+  if (!isPushEndpoint(endpoint)) {
+    throw invalid('The endpoint must be an https:// URL from a browser push service');
+  }
+
+  const keys = body.keys && typeof body.keys.p256dh === 'string' && typeof body.keys.auth === 'string'
+    ? { p256dh: body.keys.p256dh, auth: body.keys.auth }
+    : undefined;
+  return { endpoint, keys };
+}
+
+// Returns false if the browser was already subscribed
+function addSubscription(file, body) {
+  const subscription = parseSubscription(body);
+  const subscriptions = loadSubscriptions(file);
+  if (subscriptions.some((item) => item.endpoint === subscription.endpoint)) {
+    return false;
+  }
+  if (subscriptions.length >= MAX_SUBSCRIPTIONS) {
+    const err = new Error('Too many push subscriptions');
+    err.code = 'EFULL';
+    throw err;
+  }
+  saveSubscriptions([...subscriptions, subscription], file);
+  return true;
+}
+
+// Returns false if there was nothing to remove
+function removeSubscription(file, endpoint) {
+  const subscriptions = loadSubscriptions(file);
+  const remaining = subscriptions.filter((item) => item.endpoint !== endpoint);
+  if (remaining.length === subscriptions.length) {
+    return false;
+  }
+  saveSubscriptions(remaining, file);
+  return true;
+}
+
+module.exports = {
+  subscriptionsFileFor,
+  isPushEndpoint,
+  loadSubscriptions,
+  saveSubscriptions,
+  addSubscription,
+  removeSubscription
+};
@@ -0,0 +1,48 @@
+// Small helpers shared by the monitor modules
+
+const fs = require('fs');
+const path = require('path');
+
+// The public address of the page (CNAME), for links in feeds,
+// notifications and the Statuspage API
+const SITE_URL = 'https://is-csct.online/';
+
+// A JSON file, or `fallback` when it doesn't exist yet
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw new Error(`Could not read ${path.basename(file)}: ${err.message}`);
+  }
+}
+
+// For text going into the feeds and the badge SVG
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Everything the page reads (status.json, history.json, the feeds, ...) is
+// written under a temporary name and renamed into place, so a crash or a
+// reader arriving mid-write never sees a truncated file
+function writeFileAtomic(file, text) {
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, text, 'utf8');
+  fs.renameSync(temp, file);
+}
+
+function writeJsonAtomic(file, value) {
+  writeFileAtomic(file, JSON.stringify(value, null, 2));
+}
+
+module.exports = {
+  SITE_URL,
+  escapeXml,
+  readJson,
+  writeFileAtomic,
+  writeJsonAtomic
+};
@@ -0,0 +1,198 @@
+// Probing from several vantage points
+//
+// One monitor can't tell "CSCT Cloud is down" from "the monitor's network is
+// down". Probe agents on other machines run the same checks and send their
+// results to the collector (the machine running `serve` / `--daemon
+// --serve`):
+//
+//   node ping_csct.js agent --collector https://status.example.ac.uk --vantage home-broadband
+//
+// Each submission is signed with HMAC-SHA256 using a secret shared between
+// that agent and the collector, and carries the time it was sent so an old
+// one can't be replayed. The collector keeps the latest results from each
+// agent in vantage-results.json; every run of ping_csct.js then counts its
+// own check plus every agent result younger than maxAgeSeconds as votes,
+// and a target only counts as failing when the quorum is reached (see
+// applyQuorum in status-engine.js).
+//
+// vantages.json (kept out of git because it holds the secrets; see
+// vantages.example.json):
+//   {
+//     "quorum": "majority",            majority | all | any | <number>
+//     "maxAgeSeconds": 900,
+//     "local": { "id": "campus", "name": "UWE campus" },
+//     "vantages": [{ "id": "home-broadband", "name": "Home broadband", "secret": "..." }]
+//   }
+// Without vantages.json the monitor checks from where it runs, as before.
+
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { DEFAULT_QUORUM } = require('../status-engine');
+const { readJson, writeJsonAtomic } = require('./util');
+
+const VANTAGES_FILE = path.join(__dirname, '..', 'vantages.json');
+const RESULTS_FILE = path.join(__dirname, '..', 'vantage-results.json');
+
+const DEFAULT_MAX_AGE_SECONDS = 900;
+const DEFAULT_LOCAL = { id: 'local', name: 'Primary monitor' };
+
+// A submission sent longer ago than this (or this far in the future) is
+// refused, so clocks only need to be roughly right
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const SIGNATURE_HEADER = 'x-csct-signature';
+const VANTAGE_HEADER = 'x-csct-vantage';
+
+// Returns null when only the local monitor checks
+function loadVantageConfig(file = VANTAGES_FILE) {
+  const config = readJson(file, null);
+  if (!config) return null;
+
+  const vantages = (config.vantages || []).map((vantage) => {
+    if (!vantage.id || typeof vantage.secret !== 'string' || vantage.secret.length < 16) {
+      throw new Error(`Vantage '${vantage.id || '?'}' in vantages.json needs an id and a secret of at least 16 characters`);
+    }
+    return { ...vantage, name: vantage.name || vantage.id };
+  });
+
+  return {
+    quorum: config.quorum ?? DEFAULT_QUORUM,
+    maxAgeSeconds: config.maxAgeSeconds || DEFAULT_MAX_AGE_SECONDS,
+    local: { ...DEFAULT_LOCAL, ...config.local },
+    vantages
+  };
+}
+
+function sign(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function verifySignature(body, secret, signature) {
+  const expected = Buffer.from(sign(body, secret));
+  const actual = Buffer.from(String(signature || ''));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function submissionError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Only what the votes need, whatever else the agent sent
+function parseResults(results) {
+  if (!results || typeof results !== 'object' || Array.isArray(results)) {
+    throw submissionError('EINVALID', 'results must be an object keyed by target id');
+  }
+  return Object.fromEntries(Object.entries(results).map(([targetId, result]) => {
+    if (!result || typeof result.online !== 'boolean') {
+      throw submissionError('EINVALID', `result for ${targetId} needs an online flag`);
+    }
+    return [targetId, {
+      online: result.online,
+      latency: typeof result.latency === 'number' ? result.latency : null,
+      error: typeof result.error === 'string' ? result.error.slice(0, 200) : null
+    }];
+  }));
+}
+
+// Check and store one agent submission (the raw request body). Throws with
+// code EAUTH for an unknown vantage, a bad signature or a stale submission,
+// and EINVALID for a malformed one.
+function recordSubmission(config, { vantageId, signature, body }, now = new Date(), file = RESULTS_FILE) {
+  const vantage = config.vantages.find((item) => item.id === vantageId);
+  if (!vantage || !verifySignature(body, vantage.secret, signature)) {
+    throw submissionError('EAUTH', 'Unknown vantage point or bad signature');
+  }
+
+  let submission;
+  try {
+    submission = JSON.parse(body);
+  } catch (err) {
+    throw submissionError('EINVALID', 'Request body must be JSON');
+  }
+  const sentAt = new Date(submission.sentAt);
+  if (Number.isNaN(sentAt.getTime()) || Math.abs(now - sentAt) > MAX_CLOCK_SKEW_MS) {
+    throw submissionError('EAUTH', 'Submission is too old, or the agent clock is wrong');
+  }
+
+  const stored = readJson(file, {});
+  const previous = stored[vantage.id];
+  if (previous && new Date(previous.sentAt) >= sentAt) {
+    throw submissionError('EAUTH', 'Submission was already received');
+  }
+
+  stored[vantage.id] = {
+    sentAt: sentAt.toISOString(),
+    receivedAt: now.toISOString(),
+    results: parseResults(submission.results)
+  };
+  writeJsonAtomic(file, stored);
+  return stored[vantage.id];
+}
+
+// Agent results young enough to vote: [{ id, name, checkedAt, results }]
+function freshAgentResults(config, now = new Date(), file = RESULTS_FILE) {
+  const stored = readJson(file, {});
+  return config.vantages
+    .filter((vantage) => stored[vantage.id] &&
+      now - new Date(stored[vantage.id].sentAt) <= config.maxAgeSeconds * 1000)
+    .map((vantage) => ({
+      id: vantage.id,
+      name: vantage.name,
+      checkedAt: stored[vantage.id].sentAt,
+      results: stored[vantage.id].results
+    }));
+}
+
+// Agent side: sign and POST one round of results to the collector
+function submitResults({ collector, vantageId, secret, results, now = new Date(), timeoutMs = 10000 }) {
+  return new Promise((resolve, reject) => {
+    const url = new URL('/api/vantage/results', collector);
+    const client = url.protocol === 'http:' ? http : https;
+    const body = JSON.stringify({ sentAt: now.toISOString(), results });
+
+    const req = client.request(url, {
+      method: 'POST',
+      timeout: timeoutMs,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        [VANTAGE_HEADER]: vantageId,
+        [SIGNATURE_HEADER]: sign(body, secret)
+      }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res.statusCode);
+          return;
+        }
+        let message = `HTTP ${res.statusCode}`;
+        try {
+          message += `: ${JSON.parse(Buffer.concat(chunks).toString('utf8')).error}`;
+        } catch (err) {
+          // no JSON error body
+        }
+        reject(new Error(`Collector refused the results (${message})`));
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error('collector timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  VANTAGE_HEADER,
+  loadVantageConfig,
+  sign,
+  recordSubmission,
+  freshAgentResults,
+  submitResults
+};
@@ -0,0 +1,129 @@
+// Web Push delivery for browsers that subscribed on the status page
+//
+// Pushes are sent without a payload, so no message encryption is needed:
+// the service worker wakes up, fetches status.json and shows the
+// notification itself. Requests are authenticated with VAPID (RFC 8292).
+
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+const TOKEN_LIFETIME_SECONDS = 12 * 60 * 60;
+
+// Loopback, private, link-local and other non-public ranges. Endpoints are
+// checked against the known push services when they are stored, and the
+// address they resolve to is checked here, so a push can't be turned on
+// the server's own network.
+const NON_PUBLIC = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address, family) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return !NON_PUBLIC.check(mapped[1], 'ipv4');
+  return !NON_PUBLIC.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup for https.request that refuses non-public addresses
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.length === 0 || !addresses.every((item) => isPublicAddress(item.address, item.family))) {
+      callback(new Error(`${hostname} resolves to a non-public address`));
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+// VAPID keys are the raw P-256 public point (65 bytes) and private scalar
+// (32 bytes), both base64url encoded, as produced by generateVapidKeys()
+function vapidPrivateKey({ publicKey, privateKey }) {
+  const point = Buffer.from(publicKey, 'base64url');
+  return crypto.createPrivateKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: base64url(point.subarray(1, 33)),
+      y: base64url(point.subarray(33, 65)),
+      d: privateKey
+    },
+    format: 'jwk'
+  });
+}
+
+function generateVapidKeys() {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = privateKey.export({ format: 'jwk' });
+  const point = Buffer.concat([
+    Buffer.from([0x04]),
+    Buffer.from(jwk.x, 'base64url'),
+    Buffer.from(jwk.y, 'base64url')
+  ]);
+  return { publicKey: base64url(point), privateKey: jwk.d };
+}
+
+function createVapidToken(endpoint, vapid) {
+  const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = base64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + TOKEN_LIFETIME_SECONDS,
+    sub: vapid.subject
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key: vapidPrivateKey(vapid),
+    dsaEncoding: 'ieee-p1363'
+  });
+  return `${header}.${claims}.${base64url(signature)}`;
+}
+
+// Resolves with the push service's status code. 404/410 mean the browser
+// unsubscribed and the subscription should be dropped.
+function sendPush(subscription, vapid, { ttlSeconds = 86400, timeoutMs = 10000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(subscription.endpoint);
+    // An address in the URL is connected to without a lookup
+    if (url.protocol !== 'https:' || net.isIP(url.hostname.replace(/^\[|\]$/g, ''))) {
+      reject(new Error('push endpoints must be https:// URLs with a host name'));
+      return;
+    }
+    const token = createVapidToken(subscription.endpoint, vapid);
+
+    const req = https.request(url, {
+      method: 'POST',
+      timeout: timeoutMs,
+      lookup: publicLookup,
+      headers: {
+        TTL: String(ttlSeconds),
+        Urgency: 'high',
+        Authorization: `vapid t=${token}, k=${vapid.publicKey}`,
+        'Content-Length': 0
+      }
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+
+    req.on('timeout', () => req.destroy(new Error('push service timed out')));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+module.exports = {
+  generateVapidKeys,
+  createVapidToken,
+  sendPush
+};
@@ -1,173 +1,952 @@
-// Backend script to test SSH connectivity to csctcloud.uwe.ac.uk:22 and update status.json
+// Backend script to test connectivity to every service listed in targets.json
+// (csctcloud.uwe.ac.uk SSH, the web front end, Moodle, the VPN, ...) and
+// update status.json
 //
 // Usage (from repo root):
-//   node ping_csct.js
+//   node ping_csct.js            run one round of checks
+//   node ping_csct.js rebuild    recompute status.json from the check history
+//   node ping_csct.js export [--out <file>]
+//                                write the stored status to status.json for
+//                                the static site (see monitor/storage.js)
+//   node ping_csct.js accept-host-key <target-id>
+//                                trust the SSH host key currently presented
+//   node ping_csct.js notify-test send a test message through every channel
+//   node ping_csct.js vapid-keys  generate keys for the webpush notifier
+//   node ping_csct.js serve [--port 8080] [--host 0.0.0.0] [--trust-proxy]
+//                                run the status API (see monitor/server.js)
+//   node ping_csct.js report [--since 2025-11-01|30d] [--until <date>] [--format md|csv|json]
+//                                uptime, MTTR, MTBF and outages from the
+//                                history log (default: the last 30 days)
+//   node ping_csct.js incident add --title "..." [--severity minor|major|critical]
+//                                [--targets csct-ssh,vpn] [--status <status>] [--message "..."]
+//   node ping_csct.js incident update <id> [--status <status>] [--message "..."]
+//   node ping_csct.js incident resolve <id> [--message "..."]
+//   node ping_csct.js incident list [--all]
+//                                manage incidents.json (see monitor/incidents.js);
+//                                status is investigating|identified|monitoring|resolved
+//   node ping_csct.js --daemon [--interval <seconds>] [--serve [serve options]]
+//                                keep running and check on a timer (at least
+//                                30s; "schedule" in targets.json), optionally
+//                                serving the API from the same process
+//   node ping_csct.js agent --collector <url> --vantage <id> [--once]
+//                           [--interval <seconds>] [--simulate-down <ids>|all]
+//                                probe from this machine and send signed
+//                                results to the collector instead of writing
+//                                status.json; the secret is read from
+//                                CSCT_VANTAGE_SECRET (see monitor/vantage.js)
 //
-// You can run this on a schedule (e.g. cron / scheduled task) to keep
-// status.json up to date for the frontend.
+// Either run it with --daemon (e.g. as a systemd service) or one-shot on a
+// schedule (cron / scheduled task) to keep status.json up to date for the
+// frontend. A lock file stops two runs overlapping. If no check happens for
+// longer than schedule.maxGapSeconds the gap is counted as unknown time
+// rather than up or down. Targets inside a window from maintenance.json are
+// still probed but reported as 'maintenance' (see monitor/maintenance.js).
+// When a check fails, monitor/diagnostics.js works out why (DNS, refused,
+// timeout, ...) and whether the monitor's own network is fine. With
+// vantages.json, results sent in by probe agents elsewhere are combined
+// with the local check and a target is only down when the quorum of
+// vantage points agrees (see monitor/vantage.js). Metrics for Prometheus are
+// served on /metrics and, with "metrics.textfile" in targets.json, written
+// for node_exporter's textfile collector after every run (see
+// monitor/metrics.js). State lives in status.json and history/*.ndjson, or
+// in SQLite with "storage" in targets.json (see monitor/storage.js).
+// Every check is also appended to the monthly history log, which feeds the
+// charts in history.json (see monitor/history.js). Status changes are sent
+// to the channels in notifiers.json (see monitor/notifier.js) and published
+// as static Atom/RSS/iCalendar feeds (see monitor/feeds.js), a badge.svg
+// (see monitor/badge.js) and Statuspage-compatible api/v2/*.json files for
+// existing status aggregators (see monitor/statuspage.js).
 
 const net = require('net');
+const https = require('https');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+const { toEntry, writeChartData } = require('./monitor/history');
+const { checkSsh } = require('./monitor/ssh');
+const { detectEvents, notify } = require('./monitor/notifier');
+const { generateVapidKeys } = require('./monitor/webpush');
+const { createStatusServer } = require('./monitor/server');
+const { acquireLock, readLock } = require('./monitor/lock');
+const { REPORT_FORMATS, formatReport } = require('./monitor/report');
+const {
+  loadIncidents,
+  saveIncidents,
+  addIncident,
+  updateIncident,
+  resolveIncident,
+  applyMonitorEvents
+} = require('./monitor/incidents');
+const { loadMaintenance } = require('./monitor/maintenance');
+const { writeFeeds } = require('./monitor/feeds');
+const { writeBadge } = require('./monitor/badge');
+const { writeStatuspage } = require('./monitor/statuspage');
+const { createDiagnoser } = require('./monitor/diagnostics');
+const { loadVantageConfig, freshAgentResults, submitResults } = require('./monitor/vantage');
+const { loadMetricsState, recordChecks, formatMetrics } = require('./monitor/metrics');
+const { STATUS_FILE, createStorage } = require('./monitor/storage');
+const { writeFileAtomic, writeJsonAtomic } = require('./monitor/util');
+const {
+  DEFAULT_DEGRADED,
+  DEFAULT_CONFIRM,
+  DEFAULT_MAX_GAP_SECONDS,
+  getDefaultTargetStatus,
+  getDefaultStatus,
+  parseStatus,
+  computeDurations,
+  computeOverallStatus,
+  applyQuorum,
+  activeMaintenance,
+  summarizeChecks
+} = require('./status-engine');
 
-const TARGET_HOST = 'csctcloud.uwe.ac.uk';
-const TARGET_PORT = 22;
-const STATUS_FILE = path.join(__dirname, 'status.json');
-const TIMEOUT_MS = 5000;
+const TARGETS_FILE = path.join(__dirname, 'targets.json');
+const LOCK_FILE = path.join(__dirname, '.ping_csct.lock');
+const DEFAULT_TIMEOUT_MS = 5000;
 
-function readStatusFile() {
-  try {
-    const raw = fs.readFileSync(STATUS_FILE, 'utf8');
-    return JSON.parse(raw);
-  } catch {
-    // Default structure if file doesn't exist or is invalid
+const CHECK_TYPES = ['tcp', 'https', 'ssh'];
+
+// Daemon timing ("schedule" in targets.json). Each run is intervalSeconds
+// after the previous one, give or take jitterSeconds so several monitors
+// don't probe in lockstep. maxGapSeconds also applies to cron runs.
+const DEFAULT_SCHEDULE = {
+  intervalSeconds: 300,
+  jitterSeconds: 30,
+  maxGapSeconds: DEFAULT_MAX_GAP_SECONDS
+};
+
+// Anything faster is hammering the targets rather than monitoring them
+const MIN_INTERVAL_SECONDS = 30;
+
+function readTargetsConfig() {
+  return JSON.parse(fs.readFileSync(TARGETS_FILE, 'utf8'));
+}
+
+function loadSchedule() {
+  return { ...DEFAULT_SCHEDULE, ...readTargetsConfig().schedule };
+}
+
+// "metrics.textfile" in targets.json, relative to the repo root, or null
+function metricsTextfile() {
+  const { metrics } = readTargetsConfig();
+  return metrics && metrics.textfile ? path.resolve(__dirname, metrics.textfile) : null;
+}
+
+function metricsText(status = readStatusFile(), now = new Date()) {
+  return formatMetrics(status, loadMetricsState(), { now, maxGapSeconds: loadSchedule().maxGapSeconds });
+}
+
+function loadTargets() {
+  const config = readTargetsConfig();
+  const timeoutMs = config.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const degraded = { ...DEFAULT_DEGRADED, ...config.degraded };
+  const confirm = { ...DEFAULT_CONFIRM, ...config.confirm };
+
+  const targets = (config.targets || []).map((target) => {
+    if (!target.id || !target.host) {
+      throw new Error(`Invalid target in targets.json: ${JSON.stringify(target)}`);
+    }
+    const type = target.type || 'tcp';
+    if (!CHECK_TYPES.includes(type)) {
+      throw new Error(`Unknown check type '${type}' for target ${target.id}`);
+    }
     return {
-      lastOnline: null,
-      lastStatus: 'unknown',
-      lastStatusChange: null,
-      currentStreakSeconds: 0,
-      totalUpSeconds: 0,
-      totalDownSeconds: 0,
-      lastChecked: null,
-      downtimeIncidents: [], // Track individual downtime incidents
-      totalOutages: 0 // Count total number of outages
+      ...target,
+      type,
+      name: target.name || target.id,
+      port: target.port || (type === 'https' ? 443 : 22),
+      timeoutMs: target.timeoutMs || timeoutMs,
+      degraded: { ...degraded, ...target.degraded },
+      confirm: { ...confirm, ...target.confirm }
     };
+  });
+
+  if (targets.length === 0) {
+    throw new Error('targets.json does not list any targets');
   }
+  return targets;
 }
 
-function writeStatusFile(status) {
-  fs.writeFileSync(STATUS_FILE, JSON.stringify(status, null, 2), 'utf8');
-}
-
-function computeDurations(prevStatus, now, isOnline) {
-  const updated = { ...prevStatus };
-  const nowIso = now.toISOString();
-
-  const lastChecked = prevStatus.lastChecked
-    ? new Date(prevStatus.lastChecked)
-    : null;
-
-  let deltaSeconds = 0;
-  if (lastChecked && !Number.isNaN(lastChecked.getTime())) {
-    deltaSeconds = Math.max(0, (now.getTime() - lastChecked.getTime()) / 1000);
-  }
-
-  // If previous status was known, accumulate into total up/down counters
-  if (prevStatus.lastStatus === 'online') {
-    updated.totalUpSeconds = (prevStatus.totalUpSeconds || 0) + deltaSeconds;
-  } else if (prevStatus.lastStatus === 'offline') {
-    updated.totalDownSeconds = (prevStatus.totalDownSeconds || 0) + deltaSeconds;
-  }
-
-  const newStatus = isOnline ? 'online' : 'offline';
-  const wasOffline = prevStatus.lastStatus === 'offline';
-  const wasOnline = prevStatus.lastStatus === 'online';
-
-  // Status changed: reset streak and timestamp
-  if (newStatus !== prevStatus.lastStatus) {
-    updated.lastStatus = newStatus;
-    updated.lastStatusChange = nowIso;
-    
-    // If coming back online from offline, record the downtime incident
-    if (isOnline && wasOffline && prevStatus.lastStatusChange) {
-      const downtimeStart = new Date(prevStatus.lastStatusChange);
-      const downtimeDuration = Math.max(0, (now.getTime() - downtimeStart.getTime()) / 1000);
-      
-      if (downtimeDuration > 0) {
-        const incident = {
-          startTime: prevStatus.lastStatusChange,
-          endTime: nowIso,
-          duration: Math.round(downtimeDuration),
-          id: Date.now() // Simple ID based on timestamp
-        };
-        
-        // Add to incidents list (keep last 10)
-        updated.downtimeIncidents = [
-          incident,
-          ...(prevStatus.downtimeIncidents || []).slice(0, 9)
-        ];
-        
-        updated.totalOutages = (prevStatus.totalOutages || 0) + 1;
-      }
-    }
-    
-    updated.currentStreakSeconds = 0;
-  } else {
-    updated.currentStreakSeconds =
-      (prevStatus.currentStreakSeconds || 0) + deltaSeconds;
+// status.json or the SQLite database ("storage" in targets.json, see
+// monitor/storage.js), opened once per process
+let storage = null;
+function getStorage() {
+  if (!storage) {
+    storage = createStorage(readTargetsConfig().storage);
+  }
+  return storage;
+}
+
+// The stored status, migrated to the current schemaVersion (see
+// status.schema.json). Nothing stored yet gives the defaults. A status that
+// can't be read or doesn't match the schema is copied aside and refused
+// (code EBADSTATUS), rather than replaced by defaults that would wipe every
+// counter on the next write.
+function readStatusFile() {
+  const text = getStorage().readStatusText();
+  if (text === null) {
+    return getDefaultStatus();
   }
 
-  if (isOnline) {
-    updated.lastOnline = nowIso;
+  try {
+    return parseStatus(JSON.parse(text));
+  } catch (err) {
+    // Named after the content so a daemon retrying doesn't pile up copies
+    const digest = crypto.createHash('sha1').update(text).digest('hex').slice(0, 8);
+    const backup = path.join(__dirname, `status.invalid-${digest}.json`);
+    fs.writeFileSync(backup, text, 'utf8');
+
+    const refused = new Error(
+      `The stored status is not valid: ${err.message}. A copy was saved to ${path.basename(backup)}; ` +
+        'fix it, or run "node ping_csct.js rebuild" to recompute it from the check history'
+    );
+    refused.code = 'EBADSTATUS';
+    throw refused;
   }
+}
 
-  // Ensure arrays exist
-  updated.downtimeIncidents = updated.downtimeIncidents || [];
-  updated.totalOutages = updated.totalOutages || 0;
+function writeStatusFile(status) {
+  getStorage().writeStatus(status);
+}
 
-  updated.lastChecked = nowIso;
-  return updated;
+// Record what the SSH check saw and compare the host key with the one we
+// trusted before. A changed key doesn't affect up/down time but is kept as a
+// warning until someone runs `accept-host-key`.
+function applySshResult(prevTarget, next, result, now) {
+  if (result.serverVersion) {
+    next.ssh = {
+      serverVersion: result.serverVersion,
+      bannerLatency: result.bannerLatency,
+      hostKeyType: result.hostKey ? result.hostKey.type : null,
+      hostKeyFingerprint: result.hostKey ? result.hostKey.fingerprint : null
+    };
+  }
+
+  if (!result.hostKey) {
+    return next;
+  }
+
+  const known = prevTarget.knownHostKey;
+  if (!known) {
+    next.knownHostKey = { ...result.hostKey, firstSeen: now.toISOString() };
+  } else if (known.fingerprint !== result.hostKey.fingerprint) {
+    next.warning = {
+      code: 'host-key-changed',
+      message: `SSH host key changed from ${known.fingerprint} to ${result.hostKey.fingerprint}`,
+      since: (prevTarget.warning && prevTarget.warning.since) || now.toISOString(),
+      expected: known.fingerprint,
+      actual: result.hostKey.fingerprint
+    };
+  } else {
+    delete next.warning;
+  }
+  return next;
 }
 
-function pingHost() {
+function pingHost(host, port, timeoutMs = DEFAULT_TIMEOUT_MS) {
   return new Promise((resolve) => {
     const socket = new net.Socket();
     const startTime = Date.now();
-    
-    socket.setTimeout(TIMEOUT_MS);
-    
+
+    socket.setTimeout(timeoutMs);
+
     socket.on('connect', () => {
       const latency = Date.now() - startTime;
       socket.destroy();
-      resolve({ online: true, latency, error: null });
+      resolve({ online: true, latency, error: null, code: null });
     });
-    
+
     socket.on('timeout', () => {
       socket.destroy(new Error('Connection timed out'));
-      resolve({ online: false, latency: null, error: 'timeout' });
+      resolve({ online: false, latency: null, error: 'timeout', code: 'ETIMEDOUT' });
     });
-    
+
     socket.on('error', (err) => {
-      resolve({ online: false, latency: null, error: err.message || 'connection refused' });
+      resolve({ online: false, latency: null, error: err.message || 'connection refused', code: err.code || null });
     });
-    
-    socket.connect(TARGET_PORT, TARGET_HOST);
+
+    socket.connect(port, host);
   });
 }
 
-async function main() {
+// Any HTTP response counts as reachable unless the server reports a 5xx
+function checkHttps(host, port, urlPath = '/', timeoutMs = DEFAULT_TIMEOUT_MS) {
+  return new Promise((resolve) => {
+    const startTime = Date.now();
+    let settled = false;
+    const finish = (result) => {
+      if (!settled) {
+        settled = true;
+        resolve(result);
+      }
+    };
+
+    const req = https.request(
+      { host, port, path: urlPath, method: 'GET', timeout: timeoutMs },
+      (res) => {
+        const latency = Date.now() - startTime;
+        res.resume();
+        if (res.statusCode >= 500) {
+          finish({ online: false, latency, error: `HTTP ${res.statusCode}`, code: 'EHTTP' });
+        } else {
+          finish({ online: true, latency, error: null, code: null });
+        }
+        req.destroy();
+      }
+    );
+
+    req.on('timeout', () => {
+      req.destroy();
+      finish({ online: false, latency: null, error: 'timeout', code: 'ETIMEDOUT' });
+    });
+
+    req.on('error', (err) => {
+      finish({ online: false, latency: null, error: err.message || 'request failed', code: err.code || null });
+    });
+
+    req.end();
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry a failed probe a few times before reporting it, so a single dropped
+// packet doesn't even count as a failed check
+async function probeWithRetries(target) {
+  const attempts = 1 + (target.confirm ? target.confirm.retries : 0);
+  let result;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    result = await probeTarget(target);
+    if (result.online) {
+      return { ...result, attempts: attempt };
+    }
+    if (attempt < attempts) {
+      await sleep(target.confirm.retryDelayMs);
+    }
+  }
+  return { ...result, attempts };
+}
+
+function probeTarget(target) {
+  if (target.type === 'ssh') {
+    return checkSsh(target.host, target.port, {
+      timeoutMs: target.timeoutMs,
+      kex: Boolean(target.kex)
+    });
+  }
+  if (target.type === 'https') {
+    return checkHttps(target.host, target.port, target.path, target.timeoutMs);
+  }
+  return pingHost(target.host, target.port, target.timeoutMs);
+}
+
+// The local check plus every fresh agent result for the target, put to the
+// quorum. Without vantages.json the local check stands on its own.
+function combineVantages(targetId, local, vantageConfig, agentResults, now) {
+  if (!vantageConfig) {
+    return { online: local.online, latency: local.latency, error: local.error, vantages: null, quorum: null };
+  }
+
+  const votes = [
+    { ...vantageConfig.local, checkedAt: now.toISOString(), online: local.online, latency: local.latency, error: local.error },
+    ...agentResults
+      .filter((agent) => agent.results[targetId])
+      .map((agent) => ({ id: agent.id, name: agent.name, checkedAt: agent.checkedAt, ...agent.results[targetId] }))
+  ];
+  const verdict = applyQuorum(votes, vantageConfig.quorum);
+  const failed = votes.find((vote) => !vote.online);
+
+  return {
+    online: verdict.online,
+    latency: verdict.latency,
+    error: verdict.online ? null : local.error || `${failed.name}: ${failed.error}`,
+    vantages: Object.fromEntries(votes.map(({ id, name, checkedAt, online, latency, error }) => (
+      [id, { name, online, latency, error, checkedAt }]
+    ))),
+    quorum: { failing: verdict.failing, total: verdict.total, needed: verdict.needed }
+  };
+}
+
+// Runs one round of checks while holding the lock file. Throws an error
+// with code 'ELOCKED' if another process is already checking.
+async function runChecks() {
+  const release = acquireLock(LOCK_FILE);
+  if (!release) {
+    const holder = readLock(LOCK_FILE);
+    const err = new Error(`Another check run is in progress (pid ${holder ? holder.pid : '?'})`);
+    err.code = 'ELOCKED';
+    throw err;
+  }
+
+  try {
+    return await runChecksUnlocked();
+  } finally {
+    release();
+  }
+}
+
+async function runChecksUnlocked() {
   const now = new Date();
+  const targets = loadTargets();
+  const { maxGapSeconds } = loadSchedule();
+  const maintenanceWindows = loadMaintenance();
   const prevStatus = readStatusFile();
+  const vantageConfig = loadVantageConfig();
+  const agentResults = vantageConfig ? freshAgentResults(vantageConfig, now) : [];
+
+  // Probe every target concurrently so one slow host doesn't delay the rest
+  const results = await Promise.all(targets.map((target) => probeWithRetries(target)));
+
+  // Look into why each failed check failed (DNS, refused, timeout, ...)
+  const diagnose = createDiagnoser(readTargetsConfig().diagnostics);
+  const diagnoses = await Promise.all(results.map((result, index) => (
+    result.online ? null : diagnose(targets[index], result, now)
+  )));
+
+  const nextStatus = {
+    ...getDefaultStatus(),
+    lastChecked: now.toISOString()
+  };
+  const historyEntries = [];
+
+  targets.forEach((target, index) => {
+    const { online, latency, error, vantages, quorum } =
+      combineVantages(target.id, results[index], vantageConfig, agentResults, now);
+    const prevTarget = prevStatus.targets[target.id] || getDefaultTargetStatus();
+    const maintenance = activeMaintenance(maintenanceWindows, target.id, now);
+    const next = computeDurations(prevTarget, now, online, {
+      latency,
+      degraded: target.degraded,
+      confirm: target.confirm,
+      maxGapSeconds,
+      inMaintenance: Boolean(maintenance)
+    });
+    next.attempts = results[index].attempts;
+    next.maintenance = maintenance
+      ? { id: maintenance.id, description: maintenance.description, end: maintenance.end }
+      : null;
+
+    if (target.type === 'ssh') {
+      applySshResult(prevTarget, next, results[index], now);
+    }
+
+    next.name = target.name;
+    next.type = target.type;
+    next.host = target.host;
+    next.port = target.port;
+    next.latency = latency;
+    next.error = error;
+    next.diagnosis = diagnoses[index];
+    next.vantages = vantages;
+    next.quorum = quorum;
+    next.portTest = { port: target.port, succeeded: online };
+
+    nextStatus.targets[target.id] = next;
+    historyEntries.push(toEntry(target.id, now, { online, latency, error }, { maintenance: Boolean(maintenance) }));
 
-  const { online, latency, error } = await pingHost();
-  const nextStatus = computeDurations(prevStatus, now, online);
-  
-  if (latency !== null) {
-    nextStatus.latency = latency;
+    // Simple log for when run manually
+    const summary = next.pending
+      ? `${next.lastStatus.toUpperCase()} (${next.pending.status} pending ${next.pending.count}/${next.pending.needed})`
+      : next.lastStatus.toUpperCase();
+    const latencyStr = latency !== null ? ` (${latency}ms)` : '';
+    const quorumStr = quorum ? ` [${quorum.failing}/${quorum.total} vantage points failing]` : '';
+    console.log(
+      `[${now.toISOString()}] ${target.type.toUpperCase()} test on ${target.host}:${target.port} is ${summary}${latencyStr}${quorumStr}` +
+        (error ? ` - ${error} after ${next.attempts} attempt(s)` : '')
+    );
+    console.log(
+      `  ${target.name}: Last up: ${next.lastOnline || 'never'} | ` +
+        `Current streak: ${next.currentStreakSeconds.toFixed(0)}s | ` +
+        `Total up: ${Math.round(next.totalUpSeconds)}s | ` +
+        `Total down: ${Math.round(next.totalDownSeconds)}s | ` +
+        `Total degraded: ${Math.round(next.totalDegradedSeconds)}s | ` +
+        `Unmonitored: ${Math.round(next.totalUnknownSeconds)}s | ` +
+        `Maintenance: ${Math.round(next.totalMaintenanceSeconds)}s | ` +
+        `Outages: ${next.totalOutages || 0}`
+    );
+    if (next.diagnosis) {
+      console.log(`  Diagnosis (${next.diagnosis.kind}): ${next.diagnosis.summary}`);
+    }
+    if (next.warning) {
+      console.warn(`  WARNING: ${next.warning.message}`);
+    }
+  });
+
+  nextStatus.overallStatus = computeOverallStatus(nextStatus.targets);
+  const store = getStorage();
+  store.recordRun({ status: nextStatus, checks: historyEntries });
+  writeChartData(targets, now, { maxGapSeconds, readChecks: store.readChecks });
+
+  console.log(`Overall: ${nextStatus.overallStatus.toUpperCase()}`);
+
+  const events = detectEvents(prevStatus, nextStatus);
+  let incidents = [];
+  try {
+    incidents = loadIncidents();
+    if (applyMonitorEvents(incidents, events)) {
+      saveIncidents(incidents);
+    }
+  } catch (err) {
+    console.error(`Could not update incidents.json: ${err.message}`);
   }
-  nextStatus.portTest = { port: TARGET_PORT, succeeded: online };
+  archiveRun(store, incidents, maintenanceWindows, now);
+  publishStaticFiles(nextStatus, incidents, maintenanceWindows, now);
+  exportMetrics(historyEntries, nextStatus, now);
 
-  writeStatusFile(nextStatus);
+  await notify(events, { now });
+  return nextStatus;
+}
+
+// Feeds, badge and Statuspage API files for static hosting. A broken one shouldn't fail the run
+// that produced the status.
+function publishStaticFiles(status, incidents, maintenanceWindows, now = new Date()) {
+  try {
+    writeFeeds({ status, incidents, maintenanceWindows, now });
+  } catch (err) {
+    console.error(`Could not write the feeds: ${err.message}`);
+  }
+  try {
+    writeBadge(status);
+  } catch (err) {
+    console.error(`Could not write badge.svg: ${err.message}`);
+  }
+  try {
+    writeStatuspage({ status, incidents, maintenanceWindows, now });
+  } catch (err) {
+    console.error(`Could not write the api/v2 files: ${err.message}`);
+  }
+}
+
+// Copies of incidents and maintenance windows for the SQLite backend, and
+// downsampling of old checks. Like the static files, not worth failing a
+// run over.
+function archiveRun(store, incidents, maintenanceWindows, now) {
+  try {
+    store.saveIncidents(incidents);
+    store.saveMaintenance(maintenanceWindows);
+    const compacted = store.compact(now);
+    if (compacted && compacted.rolledUp > 0) {
+      console.log(`Rolled ${compacted.rolledUp} checks up into hourly totals`);
+    }
+  } catch (err) {
+    console.error(`Could not update ${store.backend} storage: ${err.message}`);
+  }
+}
+
+// Like the static files, metrics are a side output and shouldn't fail the run
+function exportMetrics(historyEntries, status, now) {
+  try {
+    recordChecks(historyEntries);
+    const textfile = metricsTextfile();
+    if (textfile) {
+      // node_exporter may read it at any moment
+      writeFileAtomic(textfile, metricsText(status, now));
+    }
+  } catch (err) {
+    console.error(`Could not write metrics: ${err.message}`);
+  }
+}
+
+// Replay the whole history log through computeDurations, e.g. after
+// status.json was lost or corrupted. Counters only cover the logged period.
+function rebuildStatus() {
+  const targets = loadTargets();
+  const { maxGapSeconds } = loadSchedule();
+  const store = getStorage();
+  const entries = store.readChecks();
+
+  if (entries.length === 0) {
+    throw new Error(`No check history in ${store.backend} storage, nothing to rebuild from`);
+  }
+
+  const status = getDefaultStatus();
+  targets.forEach((target) => {
+    let state = getDefaultTargetStatus();
+    entries
+      .filter((entry) => entry.id === target.id)
+      .forEach((entry) => {
+        state = computeDurations(state, new Date(entry.t), entry.up, {
+          latency: entry.ms,
+          degraded: target.degraded,
+          confirm: target.confirm,
+          maxGapSeconds,
+          inMaintenance: Boolean(entry.mnt)
+        });
+        state.latency = entry.ms;
+        state.error = entry.err;
+      });
+
+    status.targets[target.id] = {
+      ...state,
+      name: target.name,
+      type: target.type,
+      host: target.host,
+      port: target.port,
+      portTest: { port: target.port, succeeded: state.lastStatus === 'online' }
+    };
+  });
+
+  status.lastChecked = entries[entries.length - 1].t;
+  status.overallStatus = computeOverallStatus(status.targets);
+  writeStatusFile(status);
+  writeChartData(targets, new Date(), { maxGapSeconds, readChecks: store.readChecks });
 
-  // Simple log for when run manually
-  const summary = online ? 'ONLINE' : 'OFFLINE';
-  const latencyStr = latency !== null ? ` (${latency}ms)` : '';
-  console.log(
-    `[${now.toISOString()}] SSH test on ${TARGET_HOST}:${TARGET_PORT} is ${summary}${latencyStr}` +
-      (error ? ` - ${error}` : '')
-  );
   console.log(
-    `Last up: ${nextStatus.lastOnline || 'never'} | ` +
-      `Current streak: ${nextStatus.currentStreakSeconds.toFixed(0)}s | ` +
-      `Total up: ${Math.round(nextStatus.totalUpSeconds)}s | ` +
-      `Total down: ${Math.round(nextStatus.totalDownSeconds)}s | ` +
-      `Outages: ${nextStatus.totalOutages || 0}`
+    `Rebuilt status.json from ${entries.length} checks ` +
+      `(${entries[0].t} to ${status.lastChecked})`
   );
 }
 
-main().catch((err) => {
-  console.error('Unexpected error in ping_csct:', err);
-  process.exit(1);
-});
+// The stored snapshot to status.json (or --out), for the static site when
+// the SQLite backend has "publish": false or the database was restored
+function exportStatus(args) {
+  const out = path.resolve(getOption(args, 'out', STATUS_FILE));
+  if (getStorage().readStatusText() === null) {
+    throw new Error('Nothing has been stored yet, run a check first');
+  }
+  const status = readStatusFile();
+  writeJsonAtomic(out, status);
+  console.log(`Exported the status of ${Object.keys(status.targets || {}).length} targets to ${out}`);
+}
+
+// Trust the host key from the last check, e.g. after UWE rebuilt the server
+function acceptHostKey(targetId) {
+  const status = readStatusFile();
+  const target = targetId && status.targets[targetId];
+
+  if (!target) {
+    throw new Error(`Usage: node ping_csct.js accept-host-key <target-id> (unknown target '${targetId}')`);
+  }
+  if (!target.ssh || !target.ssh.hostKeyFingerprint) {
+    throw new Error(`No SSH host key has been recorded for ${targetId} yet`);
+  }
+
+  target.knownHostKey = {
+    type: target.ssh.hostKeyType,
+    fingerprint: target.ssh.hostKeyFingerprint,
+    firstSeen: new Date().toISOString()
+  };
+  delete target.warning;
+
+  status.overallStatus = computeOverallStatus(status.targets);
+  writeStatusFile(status);
+  console.log(`Now trusting ${target.knownHostKey.fingerprint} for ${targetId}`);
+}
+
+// Push a fake event through every channel, ignoring cooldowns and filters
+async function sendTestNotification() {
+  const [target] = loadTargets();
+  const sent = await notify([{
+    type: 'test',
+    targetId: target.id,
+    name: target.name,
+    host: target.host,
+    port: target.port,
+    at: new Date().toISOString()
+  }], { ignoreCooldown: true, statePath: path.join(os.tmpdir(), 'csct-notify-test.json') });
+
+  if (sent.length === 0) {
+    throw new Error('No notification was sent; check notifiers.json and the errors above');
+  }
+}
+
+function incidentCommand(args) {
+  const [action, ...rest] = args;
+  const incidents = loadIncidents();
+  const message = getOption(rest, 'message', null);
+  const status = getOption(rest, 'status', null);
+
+  if (action === 'list') {
+    const shown = getOption(rest, 'all', false)
+      ? incidents
+      : incidents.filter((incident) => incident.status !== 'resolved');
+    if (shown.length === 0) {
+      console.log('No open incidents');
+    }
+    shown.forEach((incident) => {
+      const latest = incident.updates[incident.updates.length - 1];
+      console.log(
+        `#${incident.id} [${incident.status}] ${incident.title} (${incident.severity}; ` +
+          `${incident.targets.join(', ') || 'no targets'}; since ${incident.createdAt})` +
+          (latest.message ? `\n    ${latest.at}: ${latest.message}` : '')
+      );
+    });
+    return;
+  }
+
+  let incident;
+  if (action === 'add') {
+    const knownIds = loadTargets().map((target) => target.id);
+    const targets = String(getOption(rest, 'targets', ''))
+      .split(',')
+      .map((id) => id.trim())
+      .filter(Boolean);
+    const unknown = targets.filter((id) => !knownIds.includes(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown target(s) ${unknown.join(', ')}; targets.json has ${knownIds.join(', ')}`);
+    }
+
+    incident = addIncident(incidents, {
+      title: getOption(rest, 'title', null),
+      severity: getOption(rest, 'severity', 'major'),
+      status: status || 'investigating',
+      targets,
+      message
+    });
+  } else if (action === 'update') {
+    incident = updateIncident(incidents, rest[0], { status, message });
+  } else if (action === 'resolve') {
+    incident = resolveIncident(incidents, rest[0], { message });
+  } else {
+    throw new Error('Usage: node ping_csct.js incident add|update|resolve|list (see the top of ping_csct.js)');
+  }
+
+  saveIncidents(incidents);
+  getStorage().saveIncidents(incidents);
+  publishStaticFiles(readStatusFile(), incidents, loadMaintenance());
+  console.log(`Incident #${incident.id} is now ${incident.status}: ${incident.title}`);
+}
+
+// --name value / --flag options after the command
+function getOption(args, name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+  const value = args[index + 1];
+  return value === undefined || value.startsWith('--') ? true : value;
+}
+
+// Accepts an ISO date/time or a relative "<n>d" (days before now)
+function getDateOption(args, name, fallback, now) {
+  const value = getOption(args, name, null);
+  if (value === null) return fallback;
+
+  const relative = /^(\d+)d$/.exec(value);
+  const date = relative
+    ? new Date(now.getTime() - Number(relative[1]) * 24 * 60 * 60 * 1000)
+    : new Date(value);
+  if (value === true || Number.isNaN(date.getTime())) {
+    throw new Error(`--${name} must be a date (e.g. 2025-11-01) or a number of days (e.g. 30d)`);
+  }
+  return date;
+}
+
+function report(args) {
+  const now = new Date();
+  const until = getDateOption(args, 'until', now, now);
+  const since = getDateOption(args, 'since', new Date(until.getTime() - 30 * 24 * 60 * 60 * 1000), now);
+  const format = getOption(args, 'format', 'md');
+
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of ${REPORT_FORMATS.join(', ')}`);
+  }
+  if (since >= until) {
+    throw new Error('--since must be before --until');
+  }
+
+  const targets = loadTargets();
+  const { maxGapSeconds } = loadSchedule();
+  const entries = getStorage().readChecks({ since, until });
+
+  const summaries = targets.map((target) => ({
+    id: target.id,
+    name: target.name,
+    ...summarizeChecks(entries.filter((entry) => entry.id === target.id), {
+      since,
+      until,
+      degraded: target.degraded,
+      confirm: target.confirm,
+      maxGapSeconds
+    })
+  }));
+
+  console.log(formatReport({
+    since: since.toISOString(),
+    until: until.toISOString(),
+    targets: summaries
+  }, format));
+}
+
+function serve(args) {
+  const port = Number(getOption(args, 'port', process.env.PORT || 8080));
+  const host = getOption(args, 'host', '127.0.0.1');
+
+  const server = createStatusServer({
+    runChecks,
+    readStatus: readStatusFile,
+    watchStatus: (listener, intervalMs) => getStorage().watchStatus(listener, intervalMs),
+    metrics: () => metricsText(),
+    reports: readTargetsConfig().reports,
+    trustProxy: Boolean(getOption(args, 'trust-proxy', false)),
+    corsOrigin: getOption(args, 'cors-origin', '*')
+  });
+
+  server.listen(port, host, () => {
+    console.log(`Status API listening on http://${host}:${port}/`);
+  });
+  return server;
+}
+
+// Check forever on a jittered interval until SIGTERM/SIGINT. A run that is
+// in progress when the signal arrives is allowed to finish so status.json
+// and the history log are never left half-updated.
+function daemon(args, task = runChecks) {
+  const schedule = loadSchedule();
+  const interval = getOption(args, 'interval', schedule.intervalSeconds);
+  // A bare --interval comes back as true, which Number() would make 1s
+  const intervalSeconds = typeof interval === 'boolean' ? NaN : Number(interval);
+  if (!(intervalSeconds >= MIN_INTERVAL_SECONDS)) {
+    throw new Error(`--interval (or schedule.intervalSeconds) must be at least ${MIN_INTERVAL_SECONDS} seconds`);
+  }
+  const intervalMs = intervalSeconds * 1000;
+  const jitterMs = schedule.jitterSeconds * 1000;
+
+  const server = getOption(args, 'serve', false) ? serve(args) : null;
+  let timer = null;
+  let running = null;
+  let stopping = false;
+
+  const scheduleNext = () => {
+    const jitter = (Math.random() * 2 - 1) * jitterMs;
+    timer = setTimeout(tick, Math.max(1000, intervalMs + jitter));
+  };
+
+  const tick = async () => {
+    timer = null;
+    running = task().catch((err) => {
+      if (err.code === 'ELOCKED') {
+        console.warn(`${err.message}, skipping this run`);
+      } else {
+        console.error('Check run failed:', err);
+      }
+    });
+    await running;
+    running = null;
+    if (!stopping) scheduleNext();
+  };
+
+  const shutdown = async (signal) => {
+    if (stopping) return;
+    stopping = true;
+    console.log(`${signal} received, stopping${running ? ' after the current run' : ''}`);
+
+    clearTimeout(timer);
+    if (running) await running;
+    if (server) await new Promise((resolve) => server.close(resolve));
+    process.exit(0);
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  console.log(`Checking every ${intervalMs / 1000}s (±${schedule.jitterSeconds}s)`);
+  tick();
+}
+
+// Probe agent: check every target from here and send the results to the
+// collector. --simulate-down reports the listed targets (or all) as failing
+// without probing them, for trying out the quorum with agents on localhost.
+async function agentRound({ collector, vantageId, secret, simulateDown }) {
+  const targets = loadTargets();
+  const probed = await Promise.all(targets.map((target) => (
+    simulateDown.includes('all') || simulateDown.includes(target.id)
+      ? { online: false, latency: null, error: 'simulated failure' }
+      : probeWithRetries(target)
+  )));
+
+  const results = Object.fromEntries(targets.map((target, index) => {
+    const { online, latency, error } = probed[index];
+    return [target.id, { online, latency, error }];
+  }));
+  await submitResults({ collector, vantageId, secret, results });
+
+  const failing = probed.filter((result) => !result.online).length;
+  console.log(`[${new Date().toISOString()}] Sent ${targets.length} results to ${collector} as ${vantageId} (${failing} failing)`);
+}
+
+function agent(args) {
+  const collector = getOption(args, 'collector', process.env.CSCT_COLLECTOR);
+  const vantageId = getOption(args, 'vantage', process.env.CSCT_VANTAGE);
+  const secret = process.env.CSCT_VANTAGE_SECRET;
+  const simulate = getOption(args, 'simulate-down', '');
+
+  if (typeof collector !== 'string' || typeof vantageId !== 'string') {
+    throw new Error('Usage: node ping_csct.js agent --collector <url> --vantage <id> (see the top of ping_csct.js)');
+  }
+  if (!secret) {
+    throw new Error('Set CSCT_VANTAGE_SECRET to this vantage point\'s secret from vantages.json');
+  }
+
+  const options = {
+    collector,
+    vantageId,
+    secret,
+    simulateDown: typeof simulate === 'string' ? simulate.split(',').filter(Boolean) : ['all']
+  };
+  if (getOption(args, 'once', false)) {
+    return agentRound(options);
+  }
+  daemon(args, () => agentRound(options));
+  return null;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
 
+  if (command === 'rebuild') {
+    rebuildStatus();
+  } else if (command === 'export') {
+    exportStatus(args);
+  } else if (command === 'accept-host-key') {
+    acceptHostKey(args[0]);
+  } else if (command === 'notify-test') {
+    await sendTestNotification();
+  } else if (command === 'vapid-keys') {
+    console.log(JSON.stringify(generateVapidKeys(), null, 2));
+  } else if (command === 'incident') {
+    incidentCommand(args);
+  } else if (command === 'report') {
+    report(args);
+  } else if (command === 'serve') {
+    serve(args);
+  } else if (command === '--daemon') {
+    daemon(args);
+  } else if (command === 'agent') {
+    await agent(args);
+  } else if (!command) {
+    try {
+      await runChecks();
+    } catch (err) {
+      // e.g. cron firing while the daemon (or a slow earlier run) is checking
+      if (err.code !== 'ELOCKED') throw err;
+      console.warn(`${err.message}, nothing to do`);
+    }
+  } else {
+    throw new Error(`Unknown command '${command}'`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    if (err.code === 'EBADSTATUS') {
+      console.error(err.message);
+      process.exit(1);
+    }
+    console.error('Unexpected error in ping_csct:', err);
+    process.exit(1);
+  });
+}
 
+module.exports = {
+  loadTargets,
+  loadSchedule,
+  readStatusFile,
+  writeStatusFile,
+  computeDurations,
+  computeOverallStatus,
+  pingHost,
+  checkHttps,
+  probeTarget,
+  runChecks
+};
@@ -0,0 +1,864 @@
+// Status engine shared by ping_csct.js (Node) and the status page (browser)
+//
+// Owns everything about turning checks into state: the per-target status
+// machine (online / degraded / offline, with confirmation before a change
+// counts), incident records, monitoring gaps, the overall page status and
+// uptime/streak/SLA math. Both sides load this same file so the page never
+// disagrees with the backend.
+//
+// Node: const StatusEngine = require('./status-engine');
+// Browser: <script src="status-engine.js"></script> defines window.StatusEngine
+//
+// Tests: node --test test/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.StatusEngine = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  // Where a status.json written before multi-target support is migrated to
+  const LEGACY_TARGET = {
+    id: 'csct-ssh',
+    name: 'CSCT Cloud SSH',
+    host: 'csctcloud.uwe.ac.uk',
+    port: 22
+  };
+
+  // A target is 'degraded' after this many consecutive checks at or above
+  // latencyMs. Override in targets.json globally ("degraded") or per target.
+  const DEFAULT_DEGRADED = { latencyMs: 3000, consecutiveChecks: 3 };
+
+  // Flap suppression ("confirm" in targets.json). A failed probe is retried
+  // within the same run, and a target only goes down after failuresToDown
+  // failing runs in a row (and back up after successesToUp good runs).
+  const DEFAULT_CONFIRM = {
+    retries: 2,
+    retryDelayMs: 2000,
+    failuresToDown: 2,
+    successesToUp: 2
+  };
+
+  // Longer than this without a check is a monitoring gap, counted as unknown
+  // ("schedule.maxGapSeconds" in targets.json)
+  const DEFAULT_MAX_GAP_SECONDS = 1800;
+
+  // Version of the status.json layout. When the shape changes, bump it, add
+  // a step to STATUS_MIGRATIONS and update STATUS_SCHEMA and
+  // status.schema.json (a test checks the two match).
+  const STATUS_SCHEMA_VERSION = 1;
+
+  const TARGET_STATES = ['online', 'offline', 'degraded', 'maintenance', 'unknown'];
+  const OVERALL_STATES = ['online', 'warning', 'degraded', 'partial', 'offline', 'maintenance', 'unknown'];
+
+  // JSON Schema for status.json. Extra fields are allowed so a file written
+  // by a newer monitor (diagnosis, vantages, ...) still reads.
+  const STATUS_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'https://is-csct.online/status.schema.json',
+    title: 'CSCT Cloud status.json',
+    type: 'object',
+    required: ['schemaVersion', 'lastChecked', 'overallStatus', 'targets'],
+    properties: {
+      schemaVersion: { const: STATUS_SCHEMA_VERSION },
+      lastChecked: { $ref: '#/$defs/timestamp' },
+      overallStatus: { enum: OVERALL_STATES },
+      targets: {
+        type: 'object',
+        additionalProperties: { $ref: '#/$defs/target' }
+      }
+    },
+    $defs: {
+      timestamp: { type: ['string', 'null'], format: 'date-time' },
+      seconds: { type: 'number', minimum: 0 },
+      count: { type: 'integer', minimum: 0 },
+      period: {
+        type: 'object',
+        required: ['startTime', 'endTime', 'duration'],
+        properties: {
+          startTime: { type: 'string', format: 'date-time' },
+          endTime: { $ref: '#/$defs/timestamp' },
+          duration: { $ref: '#/$defs/seconds' }
+        }
+      },
+      periods: { type: 'array', items: { $ref: '#/$defs/period' } },
+      target: {
+        type: 'object',
+        required: [
+          'lastStatus', 'lastStatusChange', 'lastOnline', 'lastChecked', 'latency', 'error',
+          'currentStreakSeconds', 'totalUpSeconds', 'totalDownSeconds', 'totalDegradedSeconds',
+          'totalUnknownSeconds', 'totalMaintenanceSeconds', 'totalOutages', 'totalDegradations',
+          'downtimeIncidents', 'degradedIncidents', 'monitoringGaps'
+        ],
+        properties: {
+          name: { type: 'string' },
+          type: { enum: ['tcp', 'https', 'ssh'] },
+          host: { type: 'string' },
+          port: { type: 'integer', minimum: 1, maximum: 65535 },
+          lastStatus: { enum: TARGET_STATES },
+          lastStatusChange: { $ref: '#/$defs/timestamp' },
+          lastOnline: { $ref: '#/$defs/timestamp' },
+          lastChecked: { $ref: '#/$defs/timestamp' },
+          latency: { type: ['number', 'null'], minimum: 0 },
+          error: { type: ['string', 'null'] },
+          currentStreakSeconds: { $ref: '#/$defs/seconds' },
+          totalUpSeconds: { $ref: '#/$defs/seconds' },
+          totalDownSeconds: { $ref: '#/$defs/seconds' },
+          totalDegradedSeconds: { $ref: '#/$defs/seconds' },
+          totalUnknownSeconds: { $ref: '#/$defs/seconds' },
+          totalMaintenanceSeconds: { $ref: '#/$defs/seconds' },
+          totalOutages: { $ref: '#/$defs/count' },
+          totalDegradations: { $ref: '#/$defs/count' },
+          downtimeIncidents: { $ref: '#/$defs/periods' },
+          degradedIncidents: { $ref: '#/$defs/periods' },
+          monitoringGaps: { $ref: '#/$defs/periods' },
+          portTest: {
+            type: 'object',
+            required: ['port', 'succeeded'],
+            properties: {
+              port: { type: 'integer' },
+              succeeded: { type: 'boolean' }
+            }
+          }
+        }
+      }
+    }
+  };
+
+  // Which total each status accumulates into
+  const TOTAL_FIELDS = {
+    online: 'totalUpSeconds',
+    offline: 'totalDownSeconds',
+    degraded: 'totalDegradedSeconds',
+    maintenance: 'totalMaintenanceSeconds'
+  };
+
+  function getDefaultTargetStatus() {
+    return {
+      lastOnline: null,
+      latency: null, // Of the latest successful check
+      error: null, // Why the latest check failed
+      lastStatus: 'unknown',
+      lastStatusChange: null,
+      currentStreakSeconds: 0,
+      totalUpSeconds: 0,
+      totalDownSeconds: 0,
+      totalDegradedSeconds: 0, // Time spent reachable but slow
+      totalUnknownSeconds: 0, // Monitoring gaps, counted as neither up nor down
+      totalMaintenanceSeconds: 0, // Planned maintenance, also left out of uptime
+      lastChecked: null,
+      downtimeIncidents: [], // Track individual downtime incidents
+      degradedIncidents: [], // Track slow periods the same way
+      totalOutages: 0, // Count total number of outages
+      totalDegradations: 0,
+      monitoringGaps: [] // Periods with no checks at all
+    };
+  }
+
+  function getDefaultStatus() {
+    return {
+      schemaVersion: STATUS_SCHEMA_VERSION,
+      lastChecked: null,
+      overallStatus: 'unknown',
+      targets: {}
+    };
+  }
+
+  // status.json (and localStorage copies in the browser) used to hold a single
+  // target's state at the top level. Move it under the SSH target so existing
+  // counters and incidents survive.
+  function migrateLegacyStatus(status) {
+    if (!status || typeof status !== 'object') {
+      return getDefaultStatus();
+    }
+    if (status.targets) {
+      return status;
+    }
+
+    return {
+      lastChecked: status.lastChecked || null,
+      overallStatus: status.lastStatus || 'unknown',
+      targets: {
+        [LEGACY_TARGET.id]: {
+          name: LEGACY_TARGET.name,
+          host: LEGACY_TARGET.host,
+          port: LEGACY_TARGET.port,
+          ...status
+        }
+      }
+    };
+  }
+
+  // Each step takes a file at version n (the index) to n + 1. Files from
+  // before schemaVersion count as version 0.
+  const STATUS_MIGRATIONS = [
+    // 0 -> 1: the single-target layout moves under targets, and every target
+    // gets the fields that used to be added as they came up
+    (status) => {
+      const migrated = { ...migrateLegacyStatus(status), schemaVersion: 1 };
+      // Anything but an object of targets is left for validation to report
+      if (typeOf(migrated.targets) !== 'object') return migrated;
+
+      const targets = {};
+      Object.entries(migrated.targets).forEach(([id, target]) => {
+        targets[id] = typeOf(target) === 'object' ? { ...getDefaultTargetStatus(), ...target } : target;
+      });
+      return { ...migrated, targets };
+    }
+  ];
+
+  function statusError(message, errors = []) {
+    const err = new Error(message);
+    err.code = 'EBADSTATUS';
+    err.errors = errors;
+    return err;
+  }
+
+  // Bring a parsed status.json up to STATUS_SCHEMA_VERSION. Throws (code
+  // EBADSTATUS) for a file from a newer version.
+  function migrateStatus(status) {
+    if (!status || typeof status !== 'object' || Array.isArray(status)) {
+      throw statusError('status is not a JSON object');
+    }
+    let version = status.schemaVersion === undefined ? 0 : status.schemaVersion;
+    if (!Number.isInteger(version) || version < 0) {
+      throw statusError(`unknown schemaVersion ${JSON.stringify(status.schemaVersion)}`);
+    }
+    if (version > STATUS_SCHEMA_VERSION) {
+      throw statusError(`schemaVersion ${version} is newer than this code understands (${STATUS_SCHEMA_VERSION})`);
+    }
+
+    let migrated = status;
+    while (version < STATUS_SCHEMA_VERSION) {
+      migrated = STATUS_MIGRATIONS[version](migrated);
+      version += 1;
+    }
+    return migrated;
+  }
+
+  // The subset of JSON Schema that STATUS_SCHEMA uses: $ref into $defs,
+  // type, const, enum, required, properties, additionalProperties, items,
+  // minimum, maximum and the date-time format
+  const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  };
+
+  function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+  }
+
+  function checkSchema(value, schema, where, root, errors) {
+    if (schema.$ref) {
+      const def = root.$defs[schema.$ref.replace('#/$defs/', '')];
+      checkSchema(value, def, where, root, errors);
+      return;
+    }
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some((type) => matchesType(value, type))) {
+        errors.push(`${where}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+        return;
+      }
+    }
+    if ('const' in schema && value !== schema.const) {
+      errors.push(`${where}: must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${where}: must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${where}: must be at most ${schema.maximum}`);
+      }
+    }
+    if (schema.format === 'date-time' && typeof value === 'string' && Number.isNaN(Date.parse(value))) {
+      errors.push(`${where}: not a date-time`);
+    }
+    if (typeOf(value) === 'object') {
+      (schema.required || []).forEach((name) => {
+        if (!(name in value)) errors.push(`${where}: missing ${name}`);
+      });
+      Object.entries(value).forEach(([name, child]) => {
+        const childSchema = (schema.properties && schema.properties[name]) ||
+          (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+        if (childSchema) {
+          checkSchema(child, childSchema, `${where}.${name}`, root, errors);
+        }
+      });
+    }
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => checkSchema(item, schema.items, `${where}[${index}]`, root, errors));
+    }
+  }
+
+  // Problems with a (migrated) status, e.g. ['status.targets.vpn: missing
+  // totalUpSeconds']; empty when it's valid
+  function validateStatus(status, schema = STATUS_SCHEMA) {
+    const errors = [];
+    checkSchema(status, schema, 'status', schema, errors);
+    return errors;
+  }
+
+  // migrateStatus then validateStatus; throws (code EBADSTATUS, with the
+  // problems in err.errors) rather than hand back something half-valid
+  function parseStatus(status) {
+    const migrated = migrateStatus(status);
+    const errors = validateStatus(migrated);
+    if (errors.length > 0) {
+      throw statusError(`status does not match the schema (${errors.slice(0, 3).join('; ')}` +
+        `${errors.length > 3 ? `; and ${errors.length - 3} more` : ''})`, errors);
+    }
+    return migrated;
+  }
+
+  // Work out which state a single check puts a target in. A reachable target
+  // only counts as 'degraded' once it has been slow for several checks in a row,
+  // so one sluggish connect doesn't flip the status.
+  function classifyCheck(prevStatus, isOnline, latency, degraded = DEFAULT_DEGRADED) {
+    if (!isOnline) {
+      return { status: 'offline', slowChecks: 0 };
+    }
+
+    const isSlow = typeof latency === 'number' && latency >= degraded.latencyMs;
+    const slowChecks = isSlow ? (prevStatus.slowChecks || 0) + 1 : 0;
+    const status = slowChecks >= degraded.consecutiveChecks ? 'degraded' : 'online';
+    return { status, slowChecks };
+  }
+
+  // Decide whether an observed status change is confirmed yet. Returns the
+  // status to report, the pending state to persist, and when the confirmed
+  // change actually started (the first check that saw it).
+  function confirmTransition(prevStatus, observed, now, confirm = DEFAULT_CONFIRM) {
+    const previous = prevStatus.lastStatus;
+    const isDown = (status) => status === 'offline';
+
+    // First ever check, moving between online and degraded, or into or out
+    // of planned maintenance: no confirmation
+    if (!TOTAL_FIELDS[previous] ||
+        previous === 'maintenance' ||
+        observed === 'maintenance' ||
+        isDown(observed) === isDown(previous)) {
+      return { status: observed, pending: null, changedAt: now };
+    }
+
+    const pendingStatus = isDown(observed) ? 'offline' : 'online';
+    const needed = isDown(observed) ? confirm.failuresToDown : confirm.successesToUp;
+    const pending = prevStatus.pending && prevStatus.pending.status === pendingStatus
+      ? { ...prevStatus.pending, count: prevStatus.pending.count + 1 }
+      : { status: pendingStatus, count: 1, needed, since: now.toISOString() };
+
+    if (pending.count >= needed) {
+      return { status: observed, pending: null, changedAt: new Date(pending.since) };
+    }
+    return { status: previous, pending: { ...pending, needed }, changedAt: null };
+  }
+
+  function recordIncident(list, incident) {
+    // Keep last 10
+    return [incident, ...(list || []).slice(0, 9)];
+  }
+
+  function computeDurations(prevStatus, now, isOnline, {
+    latency = null,
+    degraded,
+    confirm,
+    maxGapSeconds = DEFAULT_MAX_GAP_SECONDS,
+    inMaintenance = false
+  } = {}) {
+    const updated = { ...prevStatus };
+    const nowIso = now.toISOString();
+
+    const lastChecked = prevStatus.lastChecked
+      ? new Date(prevStatus.lastChecked)
+      : null;
+
+    let deltaSeconds = 0;
+    if (lastChecked && !Number.isNaN(lastChecked.getTime())) {
+      deltaSeconds = Math.max(0, (now.getTime() - lastChecked.getTime()) / 1000);
+    }
+
+    // Nothing was checked for too long (cron stalled, machine asleep, daemon
+    // stopped). We can't say what state the target was in, so the gap counts
+    // as unknown, and a change that was still being confirmed starts over.
+    if (maxGapSeconds && deltaSeconds > maxGapSeconds) {
+      updated.totalUnknownSeconds = (prevStatus.totalUnknownSeconds || 0) + deltaSeconds;
+      updated.monitoringGaps = recordIncident(prevStatus.monitoringGaps, {
+        startTime: prevStatus.lastChecked,
+        endTime: nowIso,
+        duration: Math.round(deltaSeconds),
+        id: now.getTime()
+      });
+      prevStatus = { ...prevStatus, pending: null };
+      deltaSeconds = 0;
+    }
+
+    // If previous status was known, accumulate into total up/down/degraded counters
+    const prevField = TOTAL_FIELDS[prevStatus.lastStatus];
+    if (prevField) {
+      updated[prevField] = (prevStatus[prevField] || 0) + deltaSeconds;
+    }
+
+    // During a maintenance window the check result doesn't count either way
+    const observed = inMaintenance
+      ? { status: 'maintenance', slowChecks: 0 }
+      : classifyCheck(prevStatus, isOnline, latency, degraded);
+    const { status: newStatus, pending, changedAt } =
+      confirmTransition(prevStatus, observed.status, now, confirm);
+    const wasOffline = prevStatus.lastStatus === 'offline';
+    const wasDegraded = prevStatus.lastStatus === 'degraded';
+    updated.slowChecks = observed.slowChecks;
+    updated.pending = pending;
+
+    // Status changed: reset streak and timestamp
+    if (newStatus !== prevStatus.lastStatus) {
+      const changedIso = changedAt.toISOString();
+      updated.lastStatus = newStatus;
+      updated.lastStatusChange = changedIso;
+
+      // A confirmed change started at the first check that saw it; move the
+      // time since then out of the previous status' total
+      const confirmedSeconds = Math.max(0, (now.getTime() - changedAt.getTime()) / 1000);
+      if (prevField && confirmedSeconds > 0) {
+        const shift = Math.min(confirmedSeconds, updated[prevField]);
+        updated[prevField] -= shift;
+        updated[TOTAL_FIELDS[newStatus]] = (prevStatus[TOTAL_FIELDS[newStatus]] || 0) + shift;
+      }
+
+      const previousStart = prevStatus.lastStatusChange ? new Date(prevStatus.lastStatusChange) : null;
+      const previousDuration = previousStart
+        ? Math.max(0, (changedAt.getTime() - previousStart.getTime()) / 1000)
+        : 0;
+
+      // If coming back from offline, record the downtime incident
+      if (wasOffline && previousDuration > 0) {
+        updated.downtimeIncidents = recordIncident(prevStatus.downtimeIncidents, {
+          startTime: prevStatus.lastStatusChange,
+          endTime: changedIso,
+          duration: Math.round(previousDuration),
+          id: changedAt.getTime() // Simple ID based on timestamp
+        });
+
+        updated.totalOutages = (prevStatus.totalOutages || 0) + 1;
+      }
+
+      // Likewise when a slow period ends (recovered or went fully offline)
+      if (wasDegraded && previousDuration > 0) {
+        updated.degradedIncidents = recordIncident(prevStatus.degradedIncidents, {
+          startTime: prevStatus.lastStatusChange,
+          endTime: changedIso,
+          duration: Math.round(previousDuration),
+          peakLatency: prevStatus.degradedPeakLatency || null,
+          id: changedAt.getTime()
+        });
+
+        updated.totalDegradations = (prevStatus.totalDegradations || 0) + 1;
+      }
+
+      updated.degradedPeakLatency = newStatus === 'degraded' ? latency : null;
+      updated.currentStreakSeconds = confirmedSeconds;
+    } else {
+      if (newStatus === 'degraded') {
+        updated.degradedPeakLatency = Math.max(prevStatus.degradedPeakLatency || 0, latency || 0);
+      }
+      updated.currentStreakSeconds =
+        (prevStatus.currentStreakSeconds || 0) + deltaSeconds;
+    }
+
+    if (isOnline) {
+      updated.lastOnline = nowIso;
+    }
+
+    // Ensure arrays exist
+    updated.downtimeIncidents = updated.downtimeIncidents || [];
+    updated.degradedIncidents = updated.degradedIncidents || [];
+    updated.totalOutages = updated.totalOutages || 0;
+    updated.totalDegradations = updated.totalDegradations || 0;
+    updated.totalDegradedSeconds = updated.totalDegradedSeconds || 0;
+    updated.totalUnknownSeconds = updated.totalUnknownSeconds || 0;
+    updated.totalMaintenanceSeconds = updated.totalMaintenanceSeconds || 0;
+    updated.monitoringGaps = updated.monitoringGaps || [];
+
+    updated.lastChecked = nowIso;
+    return updated;
+  }
+
+  // Summarise every target into one 'all systems' state for the page header.
+  // Targets under planned maintenance are left out unless that's all of them.
+  function computeOverallStatus(targetStatuses) {
+    const statuses = Object.values(targetStatuses).map((t) => t.lastStatus);
+    const known = statuses.filter((s) => s === 'online' || s === 'offline' || s === 'degraded');
+
+    if (known.length === 0) {
+      return statuses.includes('maintenance') ? 'maintenance' : 'unknown';
+    }
+    if (known.every((s) => s === 'offline')) {
+      return 'offline';
+    }
+    if (known.includes('offline')) {
+      return 'partial';
+    }
+    if (known.includes('degraded')) {
+      return 'degraded';
+    }
+    const hasWarning = Object.values(targetStatuses).some((t) => t.warning);
+    return hasWarning ? 'warning' : 'online';
+  }
+
+  // Several vantage points can check the same target (see monitor/vantage.js).
+  // The quorum ("quorum" in vantages.json) is how many of them must fail for
+  // the check to count as a failure: 'majority' (more than half), 'all',
+  // 'any', or a number. With a single vantage point every rule is the same
+  // as checking from one place.
+  const DEFAULT_QUORUM = 'majority';
+
+  function quorumNeeded(quorum, total) {
+    if (quorum === 'all') return total;
+    if (quorum === 'any') return 1;
+    if (Number.isInteger(quorum) && quorum > 0) return Math.min(quorum, total);
+    return Math.floor(total / 2) + 1;
+  }
+
+  // votes: [{ online, latency }] from each vantage point. The latency of a
+  // passing vote is the median of the vantage points that got through.
+  function applyQuorum(votes, quorum = DEFAULT_QUORUM) {
+    const failing = votes.filter((vote) => !vote.online).length;
+    const needed = quorumNeeded(quorum, votes.length);
+    const latencies = votes
+      .filter((vote) => vote.online && typeof vote.latency === 'number')
+      .map((vote) => vote.latency)
+      .sort((a, b) => a - b);
+    const online = votes.length > 0 && failing < needed;
+
+    return {
+      online,
+      latency: online && latencies.length > 0 ? latencies[Math.floor((latencies.length - 1) / 2)] : null,
+      failing,
+      total: votes.length,
+      needed
+    };
+  }
+
+  // "Is it down for you?" reports from visitors, for problems a port check
+  // can't see. Reports are anonymous: just a category and a time.
+  const REPORT_CATEGORIES = {
+    login: 'Can\'t log in',
+    quota: 'Home directory full',
+    vscode: 'VS Code Remote won\'t connect',
+    slow: 'Very slow',
+    other: 'Something else'
+  };
+
+  // "reports" in targets.json. With degrade set, a spike shows the page as
+  // degraded while every check still passes.
+  const DEFAULT_REPORTS = { windowMinutes: 30, spikeThreshold: 5, degrade: false };
+
+  // Reports ({ category, at }) made in the window before `now`, counted per
+  // category; a spike is spikeThreshold or more of them
+  function summarizeReports(reports, now = new Date(), config = {}) {
+    const { windowMinutes, spikeThreshold, degrade } = { ...DEFAULT_REPORTS, ...config };
+    const since = now.getTime() - windowMinutes * 60 * 1000;
+    const recent = (reports || []).filter((report) => {
+      const time = new Date(report.at).getTime();
+      return time > since && time <= now.getTime();
+    });
+
+    const byCategory = {};
+    recent.forEach((report) => {
+      byCategory[report.category] = (byCategory[report.category] || 0) + 1;
+    });
+
+    return {
+      total: recent.length,
+      byCategory,
+      windowMinutes,
+      spikeThreshold,
+      spike: recent.length >= spikeThreshold,
+      degrade: Boolean(degrade)
+    };
+  }
+
+  // Maintenance windows ({ id, start, end, description, targets }, from
+  // maintenance.json). A window without targets covers every target.
+  const coversTarget = (window, targetId) =>
+    !window.targets || window.targets.length === 0 || window.targets.includes(targetId);
+
+  const inProgress = (window, now) => new Date(window.start) <= now && now < new Date(window.end);
+
+  // The window a target is in at `now`, or null
+  function activeMaintenance(windows, targetId, now = new Date()) {
+    return (windows || []).find((window) => coversTarget(window, targetId) && inProgress(window, now)) || null;
+  }
+
+  // Every window in progress at `now`, whichever targets it covers
+  function currentMaintenance(windows, now = new Date()) {
+    return (windows || []).filter((window) => inProgress(window, now));
+  }
+
+  // Windows starting within the next `withinSeconds`, soonest first
+  function upcomingMaintenance(windows, now = new Date(), withinSeconds = 7 * 24 * 60 * 60) {
+    return (windows || [])
+      .filter((window) => {
+        const startsIn = (new Date(window.start) - now) / 1000;
+        return startsIn > 0 && startsIn <= withinSeconds;
+      })
+      .sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+
+  // Deadlines (deadlines.json) are written as UK wall-clock time, e.g.
+  // "2026-01-15T14:00", so a 2pm deadline stays 2pm across the GMT/BST
+  // change. A time with an explicit offset or Z is taken as-is.
+  const DEADLINE_TIME_ZONE = 'Europe/London';
+  // How long before a deadline an outage counts as hitting it
+  const DEFAULT_DEADLINE_WINDOW_HOURS = 48;
+
+  // Milliseconds `timeZone` is ahead of UTC at `time`
+  function zoneOffsetMs(time, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(new Date(time));
+    const part = (type) => Number(parts.find((p) => p.type === type).value);
+    const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+    return wallClock - Math.floor(time / 1000) * 1000;
+  }
+
+  // "2026-03-29T14:00" in `timeZone` -> Date (Invalid Date if unreadable)
+  function zonedTimeToDate(text, timeZone = DEADLINE_TIME_ZONE) {
+    if (typeof text !== 'string') return new Date(NaN);
+    if (/(Z|[+-]\d{2}:?\d{2})$/.test(text)) return new Date(text);
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+    if (!match) return new Date(NaN);
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map((value) => value && Number(value));
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    // The offset depends on the instant we're looking for, so settle it
+    // with a second pass in case the first guess crossed a clock change
+    let time = asUtc - zoneOffsetMs(asUtc, timeZone);
+    time = asUtc - zoneOffsetMs(time, timeZone);
+    return new Date(time);
+  }
+
+  // deadlines.json -> [{ ...deadline, dueAt, windowStart }], soonest first.
+  // Entries whose due time can't be read are dropped.
+  function resolveDeadlines(config) {
+    const timeZone = (config && config.timeZone) || DEADLINE_TIME_ZONE;
+    const windowHours = (config && config.windowHours) || DEFAULT_DEADLINE_WINDOW_HOURS;
+
+    return ((config && config.deadlines) || [])
+      .map((deadline) => {
+        const dueAt = zonedTimeToDate(deadline.due, timeZone);
+        const hours = deadline.windowHours || windowHours;
+        return { ...deadline, dueAt, windowStart: new Date(dueAt.getTime() - hours * 3600 * 1000) };
+      })
+      .filter((deadline) => !Number.isNaN(deadline.dueAt.getTime()))
+      .sort((a, b) => a.dueAt - b.dueAt);
+  }
+
+  // Outages ({ startTime, endTime }, endTime null while ongoing) that overlap
+  // a resolved deadline's run-up window, with how many seconds of the window
+  // each one took
+  function outagesBeforeDeadline(deadline, outages, now = new Date()) {
+    const windowStart = deadline.windowStart.getTime();
+    const windowEnd = Math.min(deadline.dueAt.getTime(), now.getTime());
+
+    return (outages || [])
+      .map((outage) => {
+        const start = Math.max(new Date(outage.startTime).getTime(), windowStart);
+        const end = Math.min(outage.endTime ? new Date(outage.endTime).getTime() : now.getTime(), windowEnd);
+        return { ...outage, overlapSeconds: Math.round((end - start) / 1000) };
+      })
+      .filter((outage) => outage.overlapSeconds > 0);
+  }
+
+  // Lifetime availability as a percentage, or null before anything is known.
+  // Slow-but-reachable time counts as available; monitoring gaps and
+  // planned maintenance count as neither.
+  function availabilityPercent(target) {
+    const availableSeconds = (target.totalUpSeconds || 0) + (target.totalDegradedSeconds || 0);
+    const totalSeconds = availableSeconds + (target.totalDownSeconds || 0);
+    return totalSeconds > 0 ? (availableSeconds / totalSeconds) * 100 : null;
+  }
+
+  // How long the target has been in its current state as of `now`: the streak
+  // at the last check plus the time since. A clock behind lastChecked adds
+  // nothing, and past maxGapSeconds we no longer know, so it stops growing.
+  function currentStreakSeconds(target, now = new Date(), maxGapSeconds = DEFAULT_MAX_GAP_SECONDS) {
+    const base = target.currentStreakSeconds || 0;
+    const lastChecked = target.lastChecked ? new Date(target.lastChecked) : null;
+    if (!lastChecked || Number.isNaN(lastChecked.getTime())) {
+      return base;
+    }
+
+    const sinceCheck = Math.max(0, (now.getTime() - lastChecked.getTime()) / 1000);
+    return base + Math.min(sinceCheck, maxGapSeconds);
+  }
+
+  // Rolling windows shown on the page and in `ping_csct.js report`, in days
+  const UPTIME_WINDOWS = { '24h': 1, '7d': 7, '30d': 30, '90d': 90 };
+
+  // "2d 3h", "3h 5m", "5m" or "12s" for the page, feeds, notifications and
+  // reports; '—' when there is no value
+  function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) return '—';
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m`;
+    return `${Math.round(seconds)}s`;
+  }
+
+  // Replay one target's logged checks ({ t, up, ms }, oldest first) that
+  // fall in [since, until) through the same state machine as status.json,
+  // and summarise the window: time in each state, every outage, MTTR, MTBF
+  // and the longest outage. Time before the first check in the window and
+  // monitoring gaps count as unknown, so they don't affect uptime; nor does
+  // planned maintenance (checks logged with "mnt": true).
+  function summarizeChecks(checks, {
+    since,
+    until,
+    degraded,
+    confirm,
+    maxGapSeconds = DEFAULT_MAX_GAP_SECONDS
+  }) {
+    const outages = [];
+    let state = getDefaultTargetStatus();
+    let checkCount = 0;
+    let firstCheck = null;
+
+    checks.forEach((check) => {
+      const time = new Date(check.t);
+      if (Number.isNaN(time.getTime()) || time < since || time >= until) return;
+
+      const previousOutages = state.totalOutages;
+      state = computeDurations(state, time, check.up, {
+        latency: check.ms,
+        degraded,
+        confirm,
+        maxGapSeconds,
+        inMaintenance: Boolean(check.mnt)
+      });
+      if (state.totalOutages > previousOutages) {
+        const { startTime, endTime, duration } = state.downtimeIncidents[0];
+        outages.push({ startTime, endTime, duration, ongoing: false });
+      }
+
+      firstCheck = firstCheck || time;
+      checkCount += 1;
+    });
+
+    const totals = {
+      online: state.totalUpSeconds,
+      offline: state.totalDownSeconds,
+      degraded: state.totalDegradedSeconds,
+      maintenance: state.totalMaintenanceSeconds
+    };
+    let unknownSeconds = state.totalUnknownSeconds +
+      Math.max(0, ((firstCheck || until) - since) / 1000);
+
+    // The last state carries on to the end of the window, unless checks
+    // stopped long enough to be a gap
+    if (state.lastChecked) {
+      const tailSeconds = Math.max(0, (until - new Date(state.lastChecked)) / 1000);
+      if (tailSeconds > maxGapSeconds) {
+        unknownSeconds += tailSeconds;
+      } else {
+        totals[state.lastStatus] += tailSeconds;
+      }
+    }
+
+    if (state.lastStatus === 'offline') {
+      outages.push({
+        startTime: state.lastStatusChange,
+        endTime: null,
+        duration: Math.round(Math.max(0, (until - new Date(state.lastStatusChange)) / 1000)),
+        ongoing: true
+      });
+    }
+
+    const availableSeconds = totals.online + totals.degraded;
+    const monitoredSeconds = availableSeconds + totals.offline;
+    const resolved = outages.filter((outage) => !outage.ongoing);
+    const longestOutage = outages.reduce(
+      (longest, outage) => (!longest || outage.duration > longest.duration ? outage : longest),
+      null
+    );
+
+    return {
+      since: since.toISOString(),
+      until: until.toISOString(),
+      checks: checkCount,
+      uptimePercent: monitoredSeconds > 0 ? (availableSeconds / monitoredSeconds) * 100 : null,
+      upSeconds: Math.round(totals.online),
+      degradedSeconds: Math.round(totals.degraded),
+      downSeconds: Math.round(totals.offline),
+      maintenanceSeconds: Math.round(totals.maintenance),
+      unknownSeconds: Math.round(unknownSeconds),
+      outages,
+      // Mean time to recovery: how long a finished outage lasted on average
+      mttrSeconds: resolved.length > 0
+        ? Math.round(resolved.reduce((sum, outage) => sum + outage.duration, 0) / resolved.length)
+        : null,
+      // Mean time between failures: available time per outage (null if none)
+      mtbfSeconds: outages.length > 0 ? Math.round(availableSeconds / outages.length) : null,
+      longestOutage
+    };
+  }
+
+  return {
+    LEGACY_TARGET,
+    DEFAULT_DEGRADED,
+    DEFAULT_CONFIRM,
+    DEFAULT_MAX_GAP_SECONDS,
+    TOTAL_FIELDS,
+    UPTIME_WINDOWS,
+    DEADLINE_TIME_ZONE,
+    DEFAULT_DEADLINE_WINDOW_HOURS,
+    DEFAULT_QUORUM,
+    TARGET_STATES,
+    OVERALL_STATES,
+    REPORT_CATEGORIES,
+    DEFAULT_REPORTS,
+    STATUS_SCHEMA_VERSION,
+    STATUS_SCHEMA,
+    getDefaultTargetStatus,
+    getDefaultStatus,
+    migrateLegacyStatus,
+    migrateStatus,
+    validateStatus,
+    parseStatus,
+    classifyCheck,
+    confirmTransition,
+    recordIncident,
+    computeDurations,
+    computeOverallStatus,
+    applyQuorum,
+    summarizeReports,
+    activeMaintenance,
+    currentMaintenance,
+    upcomingMaintenance,
+    zonedTimeToDate,
+    resolveDeadlines,
+    outagesBeforeDeadline,
+    availabilityPercent,
+    currentStreakSeconds,
+    formatDuration,
+    summarizeChecks
+  };
+}));
@@ -0,0 +1,168 @@
+// Service worker for the status page
+//
+// Keeps the page usable on a flaky connection, which is exactly when people
+// check it:
+//   - the page shell and the static data files (status.json, history.json,
+//     ...) are fetched from the network first and cached; if the network
+//     fails or takes longer than NETWORK_TIMEOUT_MS the cached copy is used
+//   - data served from the cache carries an X-CSCT-Cached-At header so
+//     CSCTStatus can label it "cached as of ..."
+//   - /api/* is never cached; the page already falls back to status.json
+//     when the API is unreachable
+//
+// It also shows Web Push notifications. Pushes carry no payload (see
+// monitor/webpush.js), so on a push we fetch the current status and
+// describe that. Registered as sw.js?api=<csct-api base> so it knows where
+// the API is.
+//
+// Bump CACHE_NAME when the list of shell files changes.
+
+importScripts('status-engine.js');
+
+const CACHE_NAME = 'csct-status-v1';
+const NETWORK_TIMEOUT_MS = 4000;
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'style.css',
+  'theme.css',
+  'status-engine.js',
+  'is-csct.status.js'
+];
+
+const DATA_FILES = ['status.json', 'history.json', 'incidents.json', 'maintenance.json', 'deadlines.json'];
+
+const API_BASE = new URL(self.location.href).searchParams.get('api') || '';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names
+        .filter((name) => name.startsWith('csct-status-') && name !== CACHE_NAME)
+        .map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const isDataFile = (url) => DATA_FILES.some((file) => url.pathname.endsWith(`/${file}`));
+
+// A copy of the response stamped with when it was cached
+async function stamped(response) {
+  const headers = new Headers(response.headers);
+  headers.set('X-CSCT-Cached-At', new Date().toISOString());
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+async function networkFirst(request, url) {
+  const cache = await caches.open(CACHE_NAME);
+
+  const network = fetch(request).then(async (response) => {
+    if (response.ok) {
+      await cache.put(request, isDataFile(url) ? await stamped(response.clone()) : response.clone());
+    }
+    return response;
+  });
+  network.catch(() => {}); // reported through the race below, or not at all
+
+  // Still let a slow response land in the cache after we've given up on it
+  const timeout = new Promise((resolve) => setTimeout(resolve, NETWORK_TIMEOUT_MS));
+  try {
+    const response = await Promise.race([network, timeout]);
+    if (response) return response;
+  } catch (err) {
+    // offline; fall through to the cache
+  }
+
+  const cached = await cache.match(request, { ignoreSearch: true }) ||
+    (request.mode === 'navigate' ? await cache.match('index.html') : null);
+  return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' ||
+      url.origin !== self.location.origin ||
+      url.pathname.startsWith('/api/')) {
+    return;
+  }
+  event.respondWith(networkFirst(event.request, url));
+});
+
+// The API if it's up, like the page itself, else the static status.json
+async function fetchStatus() {
+  for (const source of [`${API_BASE}/api/status`, 'status.json']) {
+    try {
+      const resp = await fetch(source, { cache: 'no-store' });
+      if (resp.ok) return StatusEngine.parseStatus(await resp.json());
+    } catch (err) {
+      // unreachable or invalid; try the next source
+    }
+  }
+  return null;
+}
+
+function describeStatus(status) {
+  if (!status) {
+    return { title: 'CSCT Cloud status changed', body: 'Open the status page for details.' };
+  }
+
+  const targets = Object.values(status.targets || {});
+  const named = (state) => targets.filter((target) => target.lastStatus === state).map((target) => target.name);
+  const down = named('offline');
+  const slow = named('degraded');
+
+  const overall = status.overallStatus || StatusEngine.computeOverallStatus(status.targets || {});
+  const titles = {
+    online: 'CSCT Cloud: all systems online',
+    warning: 'CSCT Cloud: all systems online',
+    degraded: 'CSCT Cloud: degraded performance',
+    partial: 'CSCT Cloud: partial outage',
+    offline: 'CSCT Cloud: all systems offline',
+    maintenance: 'CSCT Cloud: scheduled maintenance'
+  };
+
+  const lines = [];
+  if (down.length > 0) lines.push(`Down: ${down.join(', ')}`);
+  if (slow.length > 0) lines.push(`Slow: ${slow.join(', ')}`);
+  return {
+    title: titles[overall] || 'CSCT Cloud status changed',
+    body: lines.join('\n') || 'Every service is responding.'
+  };
+}
+
+self.addEventListener('push', (event) => {
+  event.waitUntil(fetchStatus().then((status) => {
+    const { title, body } = describeStatus(status);
+    return self.registration.showNotification(title, {
+      body,
+      icon: '/assets/fav/favicon-96x96.png',
+      // One notification at a time; a newer status replaces the last
+      tag: 'csct-status',
+      renotify: true,
+      timestamp: status && status.lastChecked ? new Date(status.lastChecked).getTime() : Date.now()
+    });
+  }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => new URL(client.url).origin === self.location.origin);
+      return open ? open.focus() : self.clients.openWindow('./');
+    })
+  );
+});
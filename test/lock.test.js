@@ -0,0 +1,72 @@
+// Tests for monitor/lock.js. Run from the repo root: node --test test/
+
+const { describe, test, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { acquireLock, readLock } = require('../monitor/lock');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csct-lock-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const file = path.join(tempDir, '.ping_csct.lock');
+const MINUTE_MS = 60 * 1000;
+
+// A lock file as another process would have left it, written `ageMs` ago
+function leaveLock(contents, ageMs = 0) {
+  fs.writeFileSync(file, contents);
+  const written = new Date(Date.now() - ageMs);
+  fs.utimesSync(file, written, written);
+}
+
+// The PID of a process that has already exited
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+describe('acquireLock', () => {
+  beforeEach(() => fs.rmSync(file, { force: true }));
+
+  test('is held until released', () => {
+    const release = acquireLock(file);
+    assert.equal(typeof release, 'function');
+    assert.equal(readLock(file).pid, process.pid);
+    assert.equal(acquireLock(file), null);
+
+    release();
+    assert.equal(fs.existsSync(file), false);
+    acquireLock(file)();
+  });
+
+  test('takes over a lock whose process has died', () => {
+    leaveLock(JSON.stringify({ pid: deadPid(), startedAt: new Date().toISOString() }));
+    const release = acquireLock(file);
+    assert.ok(release);
+    assert.equal(readLock(file).pid, process.pid);
+    release();
+  });
+
+  test('takes over a lock older than any run, even if its PID is alive', () => {
+    leaveLock(JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }), 11 * MINUTE_MS);
+    const release = acquireLock(file);
+    assert.ok(release);
+    release();
+  });
+
+  test('leaves a fresh lock it cannot read alone', () => {
+    for (const contents of ['', '{"pid": 12']) {
+      leaveLock(contents);
+      assert.equal(acquireLock(file), null, JSON.stringify(contents));
+      assert.equal(fs.readFileSync(file, 'utf8'), contents);
+    }
+  });
+
+  test('takes over an unreadable lock once it is old', () => {
+    leaveLock('', 11 * MINUTE_MS);
+    const release = acquireLock(file);
+    assert.ok(release);
+    release();
+  });
+});
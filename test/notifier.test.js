@@ -0,0 +1,189 @@
+// Tests for monitor/notifier.js, monitor/smtp.js and monitor/subscriptions.js
+// against local fake SMTP and webhook servers. Run from the repo root: node --test test/
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const http = require('http');
+const { sendMail } = require('../monitor/smtp');
+const { loadNotifierConfig, detectEvents, notify } = require('../monitor/notifier');
+const { addSubscription, loadSubscriptions } = require('../monitor/subscriptions');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csct-notifier-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const listen = (server) => new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+});
+
+// Answers every command like a well-behaved relay and keeps what it was sent
+function fakeSmtpServer() {
+  const sessions = [];
+  const server = net.createServer((socket) => {
+    const session = { commands: [], data: '' };
+    sessions.push(session);
+    let buffer = '';
+    let inData = false;
+
+    socket.write('220 fake.test ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let lineEnd;
+      while ((lineEnd = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          } else {
+            session.data += `${line}\n`;
+          }
+          continue;
+        }
+        session.commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-fake.test\r\n250 8BITMIME\r\n');
+        else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  return { server, sessions };
+}
+
+const message = { from: 'monitor@example.ac.uk', to: ['ops@example.ac.uk'], subject: 'Test', text: 'Hello\n.dot' };
+
+describe('sendMail', () => {
+  test('hands a message to the relay', async () => {
+    const { server, sessions } = fakeSmtpServer();
+    const port = await listen(server);
+    try {
+      await sendMail({ host: '127.0.0.1', port, timeoutMs: 2000 }, message);
+    } finally {
+      server.close();
+    }
+
+    const [session] = sessions;
+    assert.deepEqual(session.commands.slice(1), [
+      'MAIL FROM:<monitor@example.ac.uk>',
+      'RCPT TO:<ops@example.ac.uk>',
+      'DATA',
+      'QUIT'
+    ]);
+    assert.match(session.data, /^Subject: Test$/m);
+    assert.match(session.data, /^\.\.dot$/m);
+  });
+
+  test('fails instead of hanging when the relay hangs up mid-session', async () => {
+    const server = net.createServer((socket) => socket.end('220 hi\r\n'));
+    const port = await listen(server);
+    try {
+      await assert.rejects(
+        sendMail({ host: '127.0.0.1', port, timeoutMs: 1000 }, message),
+        /closed the connection/
+      );
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('notify', () => {
+  let server;
+  let port;
+  const received = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+        res.writeHead(204);
+        res.end();
+      });
+    });
+    port = await listen(server);
+  });
+  after(() => server.close());
+
+  const target = (lastStatus, lastStatusChange) => ({
+    name: 'CSCT Cloud SSH', host: 'csctcloud.uwe.ac.uk', port: 22, lastStatus, lastStatusChange
+  });
+  const downEvents = () => detectEvents(
+    { targets: { 'csct-ssh': target('online', '2025-12-01T09:00:00Z') } },
+    { targets: { 'csct-ssh': target('offline', '2025-12-01T10:00:00Z') } }
+  );
+
+  const setup = (name, cooldownMinutes) => {
+    const file = path.join(tempDir, `${name}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+      cooldownMinutes,
+      channels: [{ type: 'webhook', url: `http://127.0.0.1:${port}/hook`, headers: { 'X-Test': name } }]
+    }));
+    return { config: loadNotifierConfig(file), statePath: path.join(tempDir, `${name}-state.json`) };
+  };
+
+  test('POSTs each event to a webhook', async () => {
+    const { config, statePath } = setup('webhook', 30);
+    const sent = await notify(downEvents(), { config, statePath, now: new Date('2025-12-01T10:00:00Z') });
+
+    assert.deepEqual(sent, [{ channel: 'webhook-1', type: 'down', targetId: 'csct-ssh' }]);
+    const request = received.find((item) => item.headers['x-test'] === 'webhook');
+    assert.equal(request.body.event.type, 'down');
+    assert.match(request.body.content, /CSCT Cloud SSH/);
+  });
+
+  test('holds back a repeat of the same event within the cooldown', async () => {
+    const { config, statePath } = setup('cooldown', 30);
+    const count = () => received.filter((item) => item.headers['x-test'] === 'cooldown').length;
+
+    await notify(downEvents(), { config, statePath, now: new Date('2025-12-01T10:00:00Z') });
+    const repeat = await notify(downEvents(), { config, statePath, now: new Date('2025-12-01T10:20:00Z') });
+    assert.deepEqual(repeat, []);
+    assert.equal(count(), 1);
+
+    const later = await notify(downEvents(), { config, statePath, now: new Date('2025-12-01T10:31:00Z') });
+    assert.equal(later.length, 1);
+    assert.equal(count(), 2);
+  });
+
+  test('gives up quietly on a corrupt state file', async () => {
+    const { config, statePath } = setup('corrupt', 30);
+    fs.writeFileSync(statePath, '{"lastSent": {');
+    const sent = await notify(downEvents(), { config, statePath, now: new Date('2025-12-01T10:00:00Z') });
+    assert.deepEqual(sent, []);
+    assert.equal(received.filter((item) => item.headers['x-test'] === 'corrupt').length, 0);
+  });
+});
+
+describe('addSubscription', () => {
+  const file = path.join(tempDir, 'push-subscriptions.json');
+
+  test('stores endpoints on the browser push services', () => {
+    const endpoint = 'https://fcm.googleapis.com/fcm/send/abc';
+    assert.equal(addSubscription(file, { endpoint, keys: { p256dh: 'p', auth: 'a' } }), true);
+    assert.equal(addSubscription(file, { endpoint }), false);
+    assert.deepEqual(loadSubscriptions(file).map((item) => item.endpoint), [endpoint]);
+  });
+
+  test('refuses anything else', () => {
+    for (const endpoint of [
+      'https://127.0.0.1/push',
+      'https://[::1]/push',
+      'https://localhost/push',
+      'http://fcm.googleapis.com/fcm/send/abc',
+      'https://fcm.googleapis.com:8443/fcm/send/abc',
+      'https://fcm.googleapis.com.example.com/push',
+      'not a url'
+    ]) {
+      assert.throws(() => addSubscription(file, { endpoint }), { code: 'EINVALID' }, endpoint);
+    }
+  });
+});
@@ -0,0 +1,156 @@
+// Tests for monitor/server.js, on a random local port.
+// Run from the repo root: node --test test/
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const http = require('http');
+const { createStatusServer } = require('../monitor/server');
+
+// One raw request, so request lines fetch() would refuse can be sent too
+function rawRequest(port, requestLine) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => {
+      socket.end(`${requestLine}\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+    });
+    let response = '';
+    socket.on('data', (chunk) => {
+      response += chunk.toString('utf8');
+    });
+    socket.on('end', () => resolve(response));
+    socket.on('error', reject);
+  });
+}
+
+// Reads Server-Sent Events until `count` status events have arrived
+function readStatusEvents(url, count, onOpen) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const req = http.get(url, (res) => {
+      let buffer = '';
+      res.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const data = /^data: (.*)$/m.exec(block);
+          if (/^event: status$/m.test(block) && data) events.push(JSON.parse(data[1]));
+        }
+        if (events.length >= count) {
+          req.destroy();
+          resolve(events);
+        }
+      });
+      onOpen();
+    });
+    req.on('error', reject);
+  });
+}
+
+const storedStatus = (lastChecked) => ({
+  lastChecked,
+  overallStatus: 'online',
+  targets: { 'csct-ssh': { name: 'CSCT Cloud SSH', lastStatus: 'online' } }
+});
+
+describe('createStatusServer', () => {
+  let server;
+  let base;
+  let status = storedStatus('2025-12-01T10:00:00.000Z');
+  let onStored = null;
+
+  before(async () => {
+    server = createStatusServer({
+      runChecks: async () => status,
+      readStatus: () => status,
+      watchStatus: (listener) => {
+        onStored = listener;
+        return () => {
+          onStored = null;
+        };
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  test('answers an unparseable request URL with 400 and keeps serving', async () => {
+    const response = await rawRequest(server.address().port, 'GET //a:b@ HTTP/1.1');
+    assert.match(response, /^HTTP\/1\.1 400 /);
+    assert.match(response, /Malformed URL/);
+
+    const next = await fetch(`${base}/api/maintenance`);
+    assert.equal(next.status, 200);
+    assert.ok(Array.isArray((await next.json()).windows));
+  });
+
+  test('GET /api/status returns the stored status', async () => {
+    const response = await fetch(`${base}/api/status`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), status);
+  });
+
+  test('pushes a newly stored status to open event streams', async () => {
+    const events = await readStatusEvents(`${base}/api/events`, 2, () => {
+      status = storedStatus('2025-12-01T10:05:00.000Z');
+      onStored();
+    });
+    assert.deepEqual(events.map((event) => event.lastChecked), ['2025-12-01T10:00:00.000Z', '2025-12-01T10:05:00.000Z']);
+  });
+
+  test('POST /api/check shares a fresh result instead of probing again', async () => {
+    const first = await (await fetch(`${base}/api/check`, { method: 'POST' })).json();
+    const second = await (await fetch(`${base}/api/check`, { method: 'POST' })).json();
+    assert.equal(first.reused, false);
+    assert.equal(second.reused, true);
+    assert.equal(second.lastChecked, first.lastChecked);
+  });
+
+  test('answers CORS preflights, unknown endpoints and other methods', async () => {
+    const preflight = await fetch(`${base}/api/check`, { method: 'OPTIONS' });
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers.get('access-control-allow-origin'), '*');
+
+    assert.equal((await fetch(`${base}/api/nope`)).status, 404);
+    assert.equal((await fetch(`${base}/index.html`, { method: 'PUT' })).status, 405);
+  });
+
+  test('serves the page but not the rest of the repo', async () => {
+    const page = await fetch(`${base}/`);
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+
+    for (const file of ['/ping_csct.js', '/targets.json', '/incidents.json', '/monitor/server.js', '/README.md',
+      '/history/2025-12.ndjson', '/notifiers.json', '/%2e%2e/etc/passwd', '/api/v2/../../targets.json']) {
+      assert.equal((await fetch(`${base}${file}`)).status, 404, file);
+    }
+  });
+});
+
+describe('createStatusServer with a stored status that fails validation', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    server = createStatusServer({
+      runChecks: async () => ({}),
+      readStatus: () => {
+        const err = new Error('targets must be an object');
+        err.code = 'EBADSTATUS';
+        throw err;
+      },
+      watchStatus: () => () => {}
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  test('GET /api/status answers 503 instead of passing it on', async () => {
+    const response = await fetch(`${base}/api/status`);
+    assert.equal(response.status, 503);
+    assert.match((await response.json()).error, /needs attention/);
+  });
+});
@@ -0,0 +1,622 @@
+// Unit tests for status-engine.js. Run from the repo root: node --test test/
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const StatusEngine = require('../status-engine');
+
+const {
+  getDefaultTargetStatus,
+  migrateLegacyStatus,
+  migrateStatus,
+  validateStatus,
+  parseStatus,
+  recordIncident,
+  computeDurations,
+  computeOverallStatus,
+  applyQuorum,
+  summarizeReports,
+  activeMaintenance,
+  currentMaintenance,
+  upcomingMaintenance,
+  zonedTimeToDate,
+  resolveDeadlines,
+  outagesBeforeDeadline,
+  availabilityPercent,
+  currentStreakSeconds,
+  formatDuration,
+  summarizeChecks
+} = StatusEngine;
+
+const at = (iso) => new Date(iso);
+
+// No retries/confirmation unless a test asks for it
+const IMMEDIATE = { failuresToDown: 1, successesToUp: 1 };
+
+// Feed a series of [time, isOnline, latency] checks through computeDurations
+function replay(checks, options = {}, start = getDefaultTargetStatus()) {
+  return checks.reduce(
+    (state, [time, isOnline, latency = null]) =>
+      computeDurations(state, at(time), isOnline, { confirm: IMMEDIATE, ...options, latency }),
+    start
+  );
+}
+
+describe('computeDurations', () => {
+  test('first ever check sets the status without adding time', () => {
+    const state = replay([['2025-12-01T10:00:00Z', true, 40]]);
+
+    assert.equal(state.lastStatus, 'online');
+    assert.equal(state.lastStatusChange, '2025-12-01T10:00:00.000Z');
+    assert.equal(state.lastOnline, '2025-12-01T10:00:00.000Z');
+    assert.equal(state.totalUpSeconds, 0);
+    assert.equal(state.totalDownSeconds, 0);
+    assert.equal(state.currentStreakSeconds, 0);
+    assert.equal(state.totalOutages, 0);
+  });
+
+  test('first ever check can be offline without waiting for confirmation', () => {
+    const state = computeDurations(getDefaultTargetStatus(), at('2025-12-01T10:00:00Z'), false, {
+      confirm: { failuresToDown: 3, successesToUp: 3 }
+    });
+
+    assert.equal(state.lastStatus, 'offline');
+    assert.equal(state.pending, null);
+    assert.equal(state.lastOnline, null);
+  });
+
+  test('time between checks goes to the previous status', () => {
+    const state = replay([
+      ['2025-12-01T10:00:00Z', true],
+      ['2025-12-01T10:05:00Z', true],
+      ['2025-12-01T10:10:00Z', false],
+      ['2025-12-01T10:15:00Z', false]
+    ]);
+
+    assert.equal(state.totalUpSeconds, 600);
+    assert.equal(state.totalDownSeconds, 300);
+    assert.equal(state.currentStreakSeconds, 300);
+    assert.equal(state.lastStatusChange, '2025-12-01T10:10:00.000Z');
+  });
+
+  test('recovering from an outage records an incident', () => {
+    const state = replay([
+      ['2025-12-01T10:00:00Z', true],
+      ['2025-12-01T10:05:00Z', false],
+      ['2025-12-01T10:20:00Z', true]
+    ]);
+
+    assert.equal(state.totalOutages, 1);
+    assert.deepEqual(state.downtimeIncidents[0], {
+      startTime: '2025-12-01T10:05:00.000Z',
+      endTime: '2025-12-01T10:20:00.000Z',
+      duration: 900,
+      id: at('2025-12-01T10:20:00Z').getTime()
+    });
+  });
+
+  test('missing lastChecked on an existing state adds no time', () => {
+    const prev = { ...getDefaultTargetStatus(), lastStatus: 'online', totalUpSeconds: 120 };
+    const state = computeDurations(prev, at('2025-12-01T10:00:00Z'), true, { confirm: IMMEDIATE });
+
+    assert.equal(state.totalUpSeconds, 120);
+    assert.equal(state.lastChecked, '2025-12-01T10:00:00.000Z');
+  });
+
+  test('an unparseable lastChecked is treated like a missing one', () => {
+    const prev = { ...getDefaultTargetStatus(), lastStatus: 'online', lastChecked: 'not a date' };
+    const state = computeDurations(prev, at('2025-12-01T10:00:00Z'), true, { confirm: IMMEDIATE });
+
+    assert.equal(state.totalUpSeconds, 0);
+    assert.ok(!Number.isNaN(state.currentStreakSeconds));
+  });
+
+  test('a clock that went backwards never produces negative time', () => {
+    const state = replay([
+      ['2025-12-01T10:00:00Z', true],
+      ['2025-12-01T10:05:00Z', true],
+      ['2025-12-01T09:55:00Z', false]
+    ]);
+
+    assert.equal(state.totalUpSeconds, 300);
+    assert.equal(state.totalDownSeconds, 0);
+    assert.ok(state.currentStreakSeconds >= 0);
+    assert.equal(state.lastStatus, 'offline');
+  });
+
+  test('an outage ending before it started (skewed clock) is not recorded', () => {
+    const state = replay([
+      ['2025-12-01T10:00:00Z', false],
+      ['2025-12-01T09:00:00Z', true]
+    ]);
+
+    assert.equal(state.totalOutages, 0);
+    assert.deepEqual(state.downtimeIncidents, []);
+  });
+
+  test('a failure must be confirmed before the target goes down', () => {
+    const confirm = { failuresToDown: 2, successesToUp: 2 };
+    const pending = replay([
+      ['2025-12-01T10:00:00Z', true],
+      ['2025-12-01T10:05:00Z', false]
+    ], { confirm });
+
+    assert.equal(pending.lastStatus, 'online');
+    assert.deepEqual(pending.pending, {
+      status: 'offline',
+      count: 1,
+      needed: 2,
+      since: '2025-12-01T10:05:00.000Z'
+    });
+
+    const confirmed = replay([['2025-12-01T10:10:00Z', false]], { confirm }, pending);
+
+    // Backdated to the first failing check, and that time moved to down
+    assert.equal(confirmed.lastStatus, 'offline');
+    assert.equal(confirmed.lastStatusChange, '2025-12-01T10:05:00.000Z');
+    assert.equal(confirmed.pending, null);
+    assert.equal(confirmed.totalUpSeconds, 300);
+    assert.equal(confirmed.totalDownSeconds, 300);
+    assert.equal(confirmed.currentStreakSeconds, 300);
+  });
+
+  test('a single blip does not count as an outage', () => {
+    const state = replay([
+      ['2025-12-01T10:00:00Z', true],
+      ['2025-12-01T10:05:00Z', false],
+      ['2025-12-01T10:10:00Z', true]
+    ], { confirm: { failuresToDown: 2, successesToUp: 2 } });
+
+    assert.equal(state.lastStatus, 'online');
+    assert.equal(state.pending, null);
+    assert.equal(state.totalUpSeconds, 600);
+    assert.equal(state.totalOutages, 0);
+  });
+
+  test('sustained slow responses become a degraded period', () => {
+    const degraded = { latencyMs: 1000, consecutiveChecks: 2 };
+    const state = replay([
+      ['2025-12-01T10:00:00Z', true, 100],
+      ['2025-12-01T10:05:00Z', true, 1500],
+      ['2025-12-01T10:10:00Z', true, 2500],
+      ['2025-12-01T10:15:00Z', true, 1800],
+      ['2025-12-01T10:20:00Z', true, 120]
+    ], { degraded });
+
+    assert.equal(state.lastStatus, 'online');
+    assert.equal(state.totalDegradations, 1);
+    assert.equal(state.totalDegradedSeconds, 600);
+    assert.equal(state.degradedIncidents[0].peakLatency, 2500);
+    assert.equal(state.degradedIncidents[0].startTime, '2025-12-01T10:10:00.000Z');
+  });
+
+  test('a long gap between checks counts as unknown, not up or down', () => {
+    const state = replay([
+      ['2025-12-01T10:00:00Z', true],
+      ['2025-12-01T10:05:00Z', true],
+      ['2025-12-01T16:05:00Z', true]
+    ], { maxGapSeconds: 1800 });
+
+    assert.equal(state.totalUpSeconds, 300);
+    assert.equal(state.totalUnknownSeconds, 6 * 3600);
+    assert.equal(state.monitoringGaps.length, 1);
+    assert.equal(state.monitoringGaps[0].startTime, '2025-12-01T10:05:00.000Z');
+  });
+
+  test('a gap restarts a change that was still being confirmed', () => {
+    const confirm = { failuresToDown: 2, successesToUp: 2 };
+    const state = replay([
+      ['2025-12-01T10:00:00Z', true],
+      ['2025-12-01T10:05:00Z', false],
+      ['2025-12-01T14:00:00Z', false]
+    ], { confirm, maxGapSeconds: 1800 });
+
+    assert.equal(state.lastStatus, 'online');
+    assert.equal(state.pending.count, 1);
+    assert.equal(state.pending.since, '2025-12-01T14:00:00.000Z');
+  });
+});
+
+describe('maintenance', () => {
+  const CONFIRM = { failuresToDown: 3, successesToUp: 2 };
+
+  test('time in maintenance is kept out of up and down time', () => {
+    const state = [
+      ['2025-12-01T10:00:00Z', true, false],
+      ['2025-12-01T10:05:00Z', false, true],
+      ['2025-12-01T10:35:00Z', false, true],
+      ['2025-12-01T10:40:00Z', true, false],
+      ['2025-12-01T10:45:00Z', true, false]
+    ].reduce(
+      (prev, [time, isOnline, inMaintenance]) =>
+        computeDurations(prev, at(time), isOnline, { confirm: IMMEDIATE, inMaintenance }),
+      getDefaultTargetStatus()
+    );
+
+    assert.equal(state.lastStatus, 'online');
+    assert.equal(state.totalUpSeconds, 600);
+    assert.equal(state.totalMaintenanceSeconds, 2100);
+    assert.equal(state.totalDownSeconds, 0);
+    assert.equal(state.totalOutages, 0);
+    assert.equal(availabilityPercent(state), 100);
+  });
+
+  test('entering and leaving maintenance skips confirmation', () => {
+    let state = replay([['2025-12-01T10:00:00Z', true]], { confirm: CONFIRM });
+    state = computeDurations(state, at('2025-12-01T10:05:00Z'), false, { confirm: CONFIRM, inMaintenance: true });
+    assert.equal(state.lastStatus, 'maintenance');
+    assert.equal(state.pending, null);
+
+    state = computeDurations(state, at('2025-12-01T10:10:00Z'), false, { confirm: CONFIRM });
+    assert.equal(state.lastStatus, 'offline');
+    assert.equal(state.pending, null);
+  });
+
+  test('finds the active window for a target', () => {
+    const windows = [
+      { id: 'all', start: '2025-12-01T08:00:00Z', end: '2025-12-01T09:00:00Z', targets: [] },
+      { id: 'ssh', start: '2025-12-01T10:00:00Z', end: '2025-12-01T12:00:00Z', targets: ['csct-ssh'] }
+    ];
+
+    assert.equal(activeMaintenance(windows, 'csct-ssh', at('2025-12-01T08:30:00Z')).id, 'all');
+    assert.equal(activeMaintenance(windows, 'csct-ssh', at('2025-12-01T11:00:00Z')).id, 'ssh');
+    assert.equal(activeMaintenance(windows, 'csct-https', at('2025-12-01T11:00:00Z')), null);
+    assert.equal(activeMaintenance(windows, 'csct-ssh', at('2025-12-01T12:00:00Z')), null);
+
+    assert.deepEqual(currentMaintenance(windows, at('2025-12-01T11:00:00Z')).map((window) => window.id), ['ssh']);
+    assert.deepEqual(currentMaintenance(windows, at('2025-12-01T09:30:00Z')), []);
+  });
+
+  test('lists windows starting within a week, soonest first', () => {
+    const windows = [
+      { id: 'later', start: '2025-12-05T10:00:00Z', end: '2025-12-05T11:00:00Z' },
+      { id: 'soon', start: '2025-12-02T10:00:00Z', end: '2025-12-02T11:00:00Z' },
+      { id: 'far', start: '2026-01-20T10:00:00Z', end: '2026-01-20T11:00:00Z' },
+      { id: 'past', start: '2025-11-20T10:00:00Z', end: '2025-11-20T11:00:00Z' }
+    ];
+
+    assert.deepEqual(
+      upcomingMaintenance(windows, at('2025-12-01T10:00:00Z')).map((window) => window.id),
+      ['soon', 'later']
+    );
+  });
+
+  test('summarizeChecks leaves maintenance out of uptime', () => {
+    const checks = [
+      { t: '2025-12-01T10:00:00.000Z', up: true, ms: 40 },
+      { t: '2025-12-01T10:30:00.000Z', up: false, ms: null, mnt: true },
+      { t: '2025-12-01T11:00:00.000Z', up: true, ms: 40 }
+    ];
+    const summary = summarizeChecks(checks, {
+      since: at('2025-12-01T10:00:00Z'),
+      until: at('2025-12-01T11:30:00Z'),
+      confirm: IMMEDIATE
+    });
+
+    assert.equal(summary.maintenanceSeconds, 1800);
+    assert.equal(summary.downSeconds, 0);
+    assert.equal(summary.outages.length, 0);
+    assert.equal(summary.uptimePercent, 100);
+  });
+});
+
+describe('deadlines', () => {
+  test('reads due times as UK wall-clock time across the clock change', () => {
+    assert.equal(zonedTimeToDate('2026-01-15T14:00').toISOString(), '2026-01-15T14:00:00.000Z');
+    assert.equal(zonedTimeToDate('2026-07-15T14:00').toISOString(), '2026-07-15T13:00:00.000Z');
+    assert.equal(zonedTimeToDate('2026-03-29T02:30').toISOString(), '2026-03-29T01:30:00.000Z');
+    assert.equal(zonedTimeToDate('2026-07-15T14:00Z').toISOString(), '2026-07-15T14:00:00.000Z');
+    assert.ok(Number.isNaN(zonedTimeToDate('next Friday').getTime()));
+  });
+
+  test('sorts deadlines and drops unreadable ones', () => {
+    const deadlines = resolveDeadlines({
+      windowHours: 24,
+      deadlines: [
+        { name: 'Portfolio', due: '2026-05-01T12:00' },
+        { name: 'Broken', due: 'soon' },
+        { name: 'Essay', due: '2026-01-15T14:00', windowHours: 6 }
+      ]
+    });
+
+    assert.deepEqual(deadlines.map((deadline) => deadline.name), ['Essay', 'Portfolio']);
+    assert.equal(deadlines[0].windowStart.toISOString(), '2026-01-15T08:00:00.000Z');
+    assert.equal(deadlines[1].windowStart.toISOString(), '2026-04-30T11:00:00.000Z');
+  });
+
+  test('finds outages in the run-up window', () => {
+    const [deadline] = resolveDeadlines({
+      windowHours: 2,
+      deadlines: [{ name: 'Essay', due: '2026-01-15T14:00' }]
+    });
+    const outages = [
+      { startTime: '2026-01-15T11:30:00Z', endTime: '2026-01-15T12:30:00Z' },
+      { startTime: '2026-01-15T09:00:00Z', endTime: '2026-01-15T10:00:00Z' },
+      { startTime: '2026-01-15T13:50:00Z', endTime: null }
+    ];
+
+    const hits = outagesBeforeDeadline(deadline, outages, at('2026-01-15T16:00:00Z'));
+    assert.deepEqual(hits.map((outage) => outage.overlapSeconds), [1800, 600]);
+  });
+});
+
+describe('recordIncident', () => {
+  test('keeps the newest ten', () => {
+    let list = [];
+    for (let i = 1; i <= 12; i++) {
+      list = recordIncident(list, { id: i });
+    }
+
+    assert.equal(list.length, 10);
+    assert.equal(list[0].id, 12);
+    assert.equal(list[9].id, 3);
+  });
+});
+
+describe('computeOverallStatus', () => {
+  const targets = (...statuses) =>
+    Object.fromEntries(statuses.map((lastStatus, i) => [`t${i}`, { lastStatus }]));
+
+  test('summarises every target', () => {
+    assert.equal(computeOverallStatus({}), 'unknown');
+    assert.equal(computeOverallStatus(targets('unknown')), 'unknown');
+    assert.equal(computeOverallStatus(targets('online', 'online')), 'online');
+    assert.equal(computeOverallStatus(targets('online', 'degraded')), 'degraded');
+    assert.equal(computeOverallStatus(targets('online', 'offline')), 'partial');
+    assert.equal(computeOverallStatus(targets('offline', 'offline', 'unknown')), 'offline');
+    assert.equal(computeOverallStatus(targets('maintenance', 'maintenance')), 'maintenance');
+  });
+
+  test('an online target with a warning makes the page a warning', () => {
+    assert.equal(
+      computeOverallStatus({ a: { lastStatus: 'online', warning: { code: 'host-key-changed' } } }),
+      'warning'
+    );
+  });
+});
+
+describe('applyQuorum', () => {
+  const votes = (...results) => results.map((online, i) => ({ online, latency: online ? (i + 1) * 100 : null }));
+
+  test('a majority of vantage points must fail by default', () => {
+    assert.equal(applyQuorum(votes(true, true, false)).online, true);
+    assert.equal(applyQuorum(votes(true, false, false)).online, false);
+    assert.equal(applyQuorum(votes(true, false)).online, true);
+    assert.equal(applyQuorum(votes(false, false)).online, false);
+  });
+
+  test('a single vantage point decides on its own under every rule', () => {
+    for (const quorum of ['majority', 'all', 'any', 2]) {
+      assert.equal(applyQuorum(votes(false), quorum).online, false);
+      assert.equal(applyQuorum(votes(true), quorum).online, true);
+    }
+  });
+
+  test('supports all, any and a fixed number', () => {
+    assert.equal(applyQuorum(votes(false, false, true), 'all').online, true);
+    assert.equal(applyQuorum(votes(true, true, false), 'any').online, false);
+    assert.deepEqual(
+      { ...applyQuorum(votes(true, false, false, true), 2), latency: undefined },
+      { online: false, latency: undefined, failing: 2, total: 4, needed: 2 }
+    );
+  });
+
+  test('reports the median latency of the vantage points that got through', () => {
+    assert.equal(applyQuorum(votes(true, true, true)).latency, 200);
+    assert.equal(applyQuorum(votes(true, true, false)).latency, 100);
+    assert.equal(applyQuorum(votes(false, false, true)).latency, null);
+  });
+
+  test('no votes is a failure', () => {
+    assert.equal(applyQuorum([]).online, false);
+  });
+});
+
+describe('summarizeReports', () => {
+  const now = at('2025-12-01T12:00:00Z');
+  const report = (category, minutesAgo) => ({ category, at: new Date(now - minutesAgo * 60 * 1000).toISOString() });
+
+  test('counts reports in the last 30 minutes by category', () => {
+    const summary = summarizeReports([
+      report('login', 5),
+      report('login', 29),
+      report('quota', 10),
+      report('login', 31),
+      report('other', -1)
+    ], now);
+
+    assert.equal(summary.total, 3);
+    assert.deepEqual(summary.byCategory, { login: 2, quota: 1 });
+    assert.equal(summary.spike, false);
+  });
+
+  test('flags a spike at the threshold and passes the degrade setting on', () => {
+    const reports = [report('vscode', 1), report('vscode', 2), report('slow', 3)];
+
+    assert.equal(summarizeReports(reports, now, { spikeThreshold: 3 }).spike, true);
+    assert.equal(summarizeReports(reports, now, { spikeThreshold: 4 }).spike, false);
+    assert.equal(summarizeReports(reports, now, { windowMinutes: 2, spikeThreshold: 2 }).total, 1);
+    assert.equal(summarizeReports(reports, now).degrade, false);
+    assert.equal(summarizeReports(reports, now, { degrade: true }).degrade, true);
+  });
+});
+
+describe('migrateLegacyStatus', () => {
+  test('moves a single-target file under the SSH target', () => {
+    const legacy = { lastStatus: 'online', lastChecked: '2025-12-01T10:00:00Z', totalUpSeconds: 60 };
+    const status = migrateLegacyStatus(legacy);
+
+    assert.equal(status.overallStatus, 'online');
+    assert.equal(status.targets['csct-ssh'].totalUpSeconds, 60);
+    assert.equal(status.targets['csct-ssh'].host, 'csctcloud.uwe.ac.uk');
+  });
+
+  test('leaves current files alone and replaces garbage with defaults', () => {
+    const current = { lastChecked: null, overallStatus: 'online', targets: {} };
+    assert.equal(migrateLegacyStatus(current), current);
+    assert.deepEqual(migrateLegacyStatus(null), StatusEngine.getDefaultStatus());
+  });
+});
+
+describe('status schema', () => {
+  const STATUS_FIXTURE = {
+    lastChecked: '2025-12-01T10:00:00Z',
+    overallStatus: 'online',
+    targets: { vpn: { lastStatus: 'online', lastChecked: '2025-12-01T10:00:00Z', totalUpSeconds: 60 } }
+  };
+
+  test('status.schema.json matches the schema the code validates with', () => {
+    assert.deepEqual(require('../status.schema.json'), StatusEngine.STATUS_SCHEMA);
+  });
+
+  test('new and migrated files are valid', () => {
+    assert.deepEqual(validateStatus(StatusEngine.getDefaultStatus()), []);
+
+    const status = parseStatus(STATUS_FIXTURE);
+    assert.equal(status.schemaVersion, StatusEngine.STATUS_SCHEMA_VERSION);
+    assert.equal(status.targets.vpn.totalUpSeconds, 60);
+    assert.equal(status.targets.vpn.latency, null);
+    assert.deepEqual(status.targets.vpn.downtimeIncidents, []);
+
+    const legacy = parseStatus({ lastStatus: 'offline', lastChecked: '2025-12-01T10:00:00Z' });
+    assert.equal(legacy.targets['csct-ssh'].lastStatus, 'offline');
+  });
+
+  test('a file that has run through computeDurations stays valid', () => {
+    const target = replay([
+      ['2025-12-01T10:00:00Z', true, 40],
+      ['2025-12-01T10:05:00Z', false],
+      ['2025-12-01T10:10:00Z', true, 45]
+    ]);
+    const status = { ...StatusEngine.getDefaultStatus(), targets: { vpn: target } };
+    assert.deepEqual(validateStatus(status), []);
+  });
+
+  test('reports where a file is wrong', () => {
+    const status = parseStatus(STATUS_FIXTURE);
+    status.targets.vpn.totalUpSeconds = -5;
+    status.targets.vpn.lastStatus = 'sideways';
+    delete status.targets.vpn.downtimeIncidents;
+    assert.deepEqual(validateStatus(status), [
+      'status.targets.vpn: missing downtimeIncidents',
+      'status.targets.vpn.lastStatus: must be one of online, offline, degraded, maintenance, unknown',
+      'status.targets.vpn.totalUpSeconds: must be at least 0'
+    ]);
+  });
+
+  test('refuses garbage and files from a newer version', () => {
+    assert.throws(() => parseStatus(null), { code: 'EBADSTATUS' });
+    assert.throws(() => parseStatus({ ...STATUS_FIXTURE, targets: [] }), { code: 'EBADSTATUS' });
+    assert.throws(() => migrateStatus({ ...STATUS_FIXTURE, schemaVersion: 99 }), /newer/);
+  });
+});
+
+describe('availabilityPercent', () => {
+  test('is null before any time has been recorded', () => {
+    assert.equal(availabilityPercent(getDefaultTargetStatus()), null);
+  });
+
+  test('counts degraded time as available and ignores gaps', () => {
+    const target = {
+      totalUpSeconds: 600,
+      totalDegradedSeconds: 200,
+      totalDownSeconds: 200,
+      totalUnknownSeconds: 5000
+    };
+    assert.equal(availabilityPercent(target), 80);
+  });
+});
+
+describe('formatDuration', () => {
+  test('shows the two largest units', () => {
+    assert.equal(formatDuration(12.4), '12s');
+    assert.equal(formatDuration(5 * 60 + 12), '5m');
+    assert.equal(formatDuration(3 * 3600 + 5 * 60), '3h 5m');
+    assert.equal(formatDuration(2 * 86400 + 3 * 3600 + 59), '2d 3h');
+    assert.equal(formatDuration(null), '—');
+  });
+});
+
+describe('currentStreakSeconds', () => {
+  const target = { currentStreakSeconds: 600, lastChecked: '2025-12-01T10:00:00Z' };
+
+  test('adds the time since the last check', () => {
+    assert.equal(currentStreakSeconds(target, at('2025-12-01T10:01:00Z')), 660);
+  });
+
+  test('ignores a clock behind lastChecked', () => {
+    assert.equal(currentStreakSeconds(target, at('2025-12-01T09:00:00Z')), 600);
+  });
+
+  test('stops growing once checks have stopped for longer than the gap limit', () => {
+    assert.equal(currentStreakSeconds(target, at('2025-12-02T10:00:00Z'), 1800), 2400);
+  });
+
+  test('uses the stored streak when lastChecked is missing', () => {
+    assert.equal(currentStreakSeconds({ currentStreakSeconds: 30 }, at('2025-12-01T10:00:00Z')), 30);
+    assert.equal(currentStreakSeconds({}, at('2025-12-01T10:00:00Z')), 0);
+  });
+});
+
+describe('summarizeChecks', () => {
+  // One check every 5 minutes from 10:00; `down` lists the indexes that failed
+  const checksEveryFiveMinutes = (count, down = []) =>
+    Array.from({ length: count }, (_, i) => ({
+      t: new Date(at('2025-12-01T10:00:00Z').getTime() + i * 300000).toISOString(),
+      up: !down.includes(i),
+      ms: 50
+    }));
+
+  const window = {
+    since: at('2025-12-01T10:00:00Z'),
+    until: at('2025-12-01T12:00:00Z'),
+    confirm: IMMEDIATE
+  };
+
+  test('computes uptime, MTTR, MTBF and the longest outage', () => {
+    // 24 checks over two hours: down 10:10-10:20 and 11:00-11:30
+    const summary = summarizeChecks(checksEveryFiveMinutes(24, [2, 3, 12, 13, 14, 15, 16, 17]), window);
+
+    assert.equal(summary.checks, 24);
+    assert.equal(summary.outages.length, 2);
+    assert.equal(summary.downSeconds, 2400);
+    assert.equal(summary.upSeconds, 4800);
+    assert.equal(summary.unknownSeconds, 0);
+    assert.ok(Math.abs(summary.uptimePercent - (4800 / 7200) * 100) < 1e-9);
+    assert.equal(summary.mttrSeconds, 1200);
+    assert.equal(summary.mtbfSeconds, 2400);
+    assert.deepEqual(summary.longestOutage, {
+      startTime: '2025-12-01T11:00:00.000Z',
+      endTime: '2025-12-01T11:30:00.000Z',
+      duration: 1800,
+      ongoing: false
+    });
+  });
+
+  test('reports an outage still going at the end of the window', () => {
+    const summary = summarizeChecks(checksEveryFiveMinutes(24, [22, 23]), window);
+
+    assert.equal(summary.outages.length, 1);
+    assert.equal(summary.outages[0].ongoing, true);
+    assert.equal(summary.outages[0].duration, 600);
+    assert.equal(summary.mttrSeconds, null);
+  });
+
+  test('time before the first check and after checks stopped is unknown', () => {
+    const checks = checksEveryFiveMinutes(24).slice(6, 12); // 10:30 to 10:55
+    const summary = summarizeChecks(checks, { ...window, maxGapSeconds: 600 });
+
+    assert.equal(summary.upSeconds, 1500);
+    assert.equal(summary.unknownSeconds, 1800 + 3900);
+    assert.equal(summary.uptimePercent, 100);
+    assert.equal(summary.mtbfSeconds, null);
+  });
+
+  test('an empty window has no uptime figure', () => {
+    const summary = summarizeChecks([], window);
+
+    assert.equal(summary.checks, 0);
+    assert.equal(summary.uptimePercent, null);
+    assert.equal(summary.unknownSeconds, 7200);
+    assert.equal(summary.longestOutage, null);
+  });
+});
@@ -0,0 +1,166 @@
+// Tests for monitor/storage.js, both backends, in a temporary directory.
+// The SQLite ones need node:sqlite (Node 22.5+) and are skipped without it.
+// Run from the repo root: node --test test/
+
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../monitor/storage');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csct-storage-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const hasSqlite = (() => {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch (err) {
+    return false;
+  }
+})();
+
+let dirCount = 0;
+const freshDir = () => fs.mkdtempSync(path.join(tempDir, `${++dirCount}-`));
+
+const status = (lastChecked) => ({
+  schemaVersion: 2,
+  lastChecked,
+  overallStatus: 'online',
+  targets: { 'csct-ssh': { name: 'CSCT Cloud SSH', lastStatus: 'online' } }
+});
+const checks = [
+  { t: '2025-12-01T10:00:00.000Z', id: 'csct-ssh', up: true, ms: 42, err: null },
+  { t: '2025-12-01T10:05:00.000Z', id: 'csct-ssh', up: false, ms: null, err: 'timed out' },
+  { t: '2025-12-01T10:10:00.000Z', id: 'csct-ssh', up: true, ms: 40, err: null, mnt: true }
+];
+
+function roundTrips(config) {
+  test('starts empty', () => {
+    const store = createStorage(config, freshDir());
+    try {
+      assert.equal(store.readStatusText(), null);
+      assert.deepEqual(store.readChecks(), []);
+    } finally {
+      store.close();
+    }
+  });
+
+  test('gives back a recorded run', () => {
+    const dir = freshDir();
+    let store = createStorage(config, dir);
+    store.recordRun({ status: status('2025-12-01T10:10:00.000Z'), checks });
+    store.close();
+
+    // and still does when opened again
+    store = createStorage(config, dir);
+    try {
+      assert.deepEqual(JSON.parse(store.readStatusText()), status('2025-12-01T10:10:00.000Z'));
+      assert.deepEqual(store.readChecks(), checks);
+      assert.deepEqual(
+        store.readChecks({ since: new Date('2025-12-01T10:05:00Z'), until: new Date('2025-12-01T10:10:00Z') }),
+        [checks[1]]
+      );
+    } finally {
+      store.close();
+    }
+  });
+
+  test('replaces the status on writeStatus', () => {
+    const store = createStorage(config, freshDir());
+    try {
+      store.writeStatus(status('2025-12-01T10:00:00.000Z'));
+      store.writeStatus(status('2025-12-01T10:05:00.000Z'));
+      assert.equal(JSON.parse(store.readStatusText()).lastChecked, '2025-12-01T10:05:00.000Z');
+    } finally {
+      store.close();
+    }
+  });
+
+  test('tells watchers about writes from here and from other processes', async () => {
+    const dir = freshDir();
+    const store = createStorage(config, dir);
+    const other = createStorage(config, dir); // stands in for a cron run
+    let calls = 0;
+    const stop = store.watchStatus(() => calls++, 10);
+    try {
+      store.writeStatus(status('2025-12-01T10:00:00.000Z'));
+      assert.equal(calls, 1);
+
+      other.writeStatus(status('2025-12-01T10:05:00.000Z'));
+      const deadline = Date.now() + 2000;
+      while (calls < 2 && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.equal(calls, 2);
+
+      stop();
+      store.writeStatus(status('2025-12-01T10:10:00.000Z'));
+      other.writeStatus(status('2025-12-01T10:15:00.000Z'));
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.equal(calls, 2);
+    } finally {
+      stop();
+      store.close();
+      other.close();
+    }
+  });
+}
+
+describe('json storage', () => {
+  roundTrips({ backend: 'json' });
+
+  test('keeps checks in monthly history files next to status.json', () => {
+    const dir = freshDir();
+    const store = createStorage({ backend: 'json' }, dir);
+    store.recordRun({ status: status('2025-12-01T10:10:00.000Z'), checks });
+    assert.ok(fs.existsSync(path.join(dir, 'status.json')));
+    assert.equal(fs.readFileSync(path.join(dir, 'history', '2025-12.ndjson'), 'utf8').trim().split('\n').length, 3);
+  });
+});
+
+describe('sqlite storage', { skip: !hasSqlite && 'needs node:sqlite (Node 22.5+)' }, () => {
+  roundTrips({ backend: 'sqlite', publish: false });
+
+  test('publishes status.json unless told not to', () => {
+    const dir = freshDir();
+    const store = createStorage({ backend: 'sqlite' }, dir);
+    try {
+      store.recordRun({ status: status('2025-12-01T10:10:00.000Z'), checks });
+      assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'status.json'), 'utf8')).lastChecked, '2025-12-01T10:10:00.000Z');
+    } finally {
+      store.close();
+    }
+  });
+
+  test('imports what the json backend had', () => {
+    const dir = freshDir();
+    const json = createStorage({ backend: 'json' }, dir);
+    json.recordRun({ status: status('2025-12-01T10:10:00.000Z'), checks });
+
+    const store = createStorage({ backend: 'sqlite', publish: false }, dir);
+    try {
+      assert.equal(JSON.parse(store.readStatusText()).lastChecked, '2025-12-01T10:10:00.000Z');
+      assert.deepEqual(store.readChecks(), checks);
+    } finally {
+      store.close();
+    }
+  });
+
+  test('rolls old checks up into hours and still reads them back', () => {
+    const store = createStorage({ backend: 'sqlite', publish: false, rawDays: 7 }, freshDir());
+    try {
+      store.recordRun({ status: status('2025-12-01T10:10:00.000Z'), checks });
+      assert.deepEqual(store.compact(new Date('2025-12-20T00:00:00Z')), { rolledUp: 3, expired: 0 });
+
+      const rolledUp = store.readChecks();
+      assert.equal(rolledUp.length, 3);
+      assert.deepEqual(rolledUp.map((entry) => entry.up), [true, false, true]);
+      assert.equal(rolledUp.filter((entry) => entry.mnt).length, 1);
+    } finally {
+      store.close();
+    }
+  });
+});
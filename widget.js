@@ -0,0 +1,130 @@
+// Embeddable status widget (widget.html) for course pages and anywhere else
+// that can show an iframe:
+//
+//   <iframe src="https://is-csct.online/widget.html?theme=dark"
+//           width="320" height="84" style="border:0" title="CSCT Cloud status"></iframe>
+//
+// or add embed.js, which inserts that iframe for you. Reads the same static
+// status.json and incidents.json as the main page, so it works without the
+// API. ?theme=light|dark sets data-theme on <html> the way ThemeManager
+// does; without it the widget follows the system preference.
+
+const WIDGET_REFRESH_MS = 5 * 60 * 1000;
+
+const WIDGET_TEXT = {
+  online: 'All systems online',
+  warning: 'All systems online',
+  degraded: 'Degraded performance',
+  partial: 'Partial outage',
+  offline: 'Major outage',
+  maintenance: 'Scheduled maintenance',
+  unknown: 'Status unknown'
+};
+
+// Dot colour for each overall status (warning shows like degraded, as on
+// the main page)
+const WIDGET_DOT = {
+  online: 'online',
+  warning: 'degraded',
+  degraded: 'degraded',
+  partial: 'partial',
+  offline: 'offline',
+  maintenance: 'maintenance'
+};
+
+class StatusWidget {
+  constructor() {
+    this.dot = document.getElementById('widget-dot');
+    this.statusText = document.getElementById('widget-status');
+    this.meta = document.getElementById('widget-meta');
+    this.incident = document.getElementById('widget-incident');
+
+    const theme = new URLSearchParams(window.location.search).get('theme');
+    if (theme === 'light' || theme === 'dark') {
+      document.documentElement.setAttribute('data-theme', theme);
+    }
+
+    this.refresh();
+    setInterval(() => this.refresh(), WIDGET_REFRESH_MS);
+  }
+
+  async fetchJson(file) {
+    try {
+      const resp = await fetch(file, { cache: 'no-store' });
+      return resp.ok ? await resp.json() : null;
+    } catch (err) {
+      console.warn(`Could not load ${file}:`, err && err.message);
+      return null;
+    }
+  }
+
+  async refresh() {
+    const [status, incidents] = await Promise.all([
+      this.fetchJson('status.json'),
+      this.fetchJson('incidents.json')
+    ]);
+    let parsed = null;
+    try {
+      parsed = status && StatusEngine.parseStatus(status);
+    } catch (err) {
+      console.warn('Ignoring invalid status.json:', err.message);
+    }
+    if (!parsed) {
+      this.statusText.textContent = 'Status unavailable';
+      return;
+    }
+    this.render(parsed, (incidents && incidents.incidents) || []);
+  }
+
+  render(status, incidents) {
+    const overall = status.overallStatus || StatusEngine.computeOverallStatus(status.targets || {});
+    this.dot.className = `widget-dot ${WIDGET_DOT[overall] || ''}`;
+    this.statusText.textContent = WIDGET_TEXT[overall] || WIDGET_TEXT.unknown;
+
+    // Latency of the primary (first) target, as in the page header
+    const primary = Object.values(status.targets || {})[0];
+    const parts = [];
+    if (primary && primary.latency) {
+      parts.push(`${primary.name} ${primary.latency}ms`);
+    }
+    if (status.lastChecked) {
+      parts.push(`checked ${this.formatAgo(new Date(status.lastChecked))}`);
+    }
+    this.meta.textContent = parts.join(' · ');
+
+    this.incident.textContent = this.describeLastIncident(status, incidents);
+  }
+
+  // The newest of the maintainers' incidents and the raw outages
+  describeLastIncident(status, incidents) {
+    const latestIncident = incidents
+      .slice()
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+    const latestOutage = Object.values(status.targets || {})
+      .flatMap(target => (target.downtimeIncidents || []).map(outage => ({ ...outage, name: target.name })))
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))[0];
+
+    if (latestIncident && (!latestOutage || new Date(latestIncident.createdAt) >= new Date(latestOutage.startTime))) {
+      const when = latestIncident.status === 'resolved' ?
+        `resolved ${this.formatAgo(new Date(latestIncident.resolvedAt))}` :
+        latestIncident.status;
+      return `Last incident: ${latestIncident.title} (${when})`;
+    }
+    if (latestOutage) {
+      return `Last outage: ${latestOutage.name}, ${this.formatAgo(new Date(latestOutage.endTime))}`;
+    }
+    return 'No recent incidents';
+  }
+
+  formatAgo(date) {
+    const minutes = Math.floor((Date.now() - date.getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+    return `${Math.floor(minutes / (24 * 60))}d ago`;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new StatusWidget();
+});